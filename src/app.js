@@ -35,9 +35,35 @@ const Texture                 = require("./texture");
 const Timer                   = require("./timer");
 const TransformFeedback       = require("./transform-feedback");
 const UniformBuffer           = require("./uniform-buffer");
+const UniformArena            = require("./uniform-arena");
 const VertexArray             = require("./vertex-array");
 const VertexBuffer            = require("./vertex-buffer");
 const Query                   = require("./query");
+const Fence                   = require("./fence");
+const RenderState             = require("./render-state");
+const PixelData               = require("./pixel-data");
+const trackResource           = require("./resources").trackResource;
+
+const DEFAULT_RENDER_STATE = RenderState.DEFAULT_RENDER_STATE;
+const createPixelArray = PixelData.createPixelArray;
+const readFormat = PixelData.readFormat;
+const setRenderState = RenderState.setRenderState;
+const applyRenderState = RenderState.applyRenderState;
+
+// 上下文恢复时资源的恢复顺序。已删除的资源会在 delete() 中从列表中移除。
+const RESOURCE_RESTORE_ORDER = [
+    "shaders",
+    "programs",
+    "vertexBuffers",
+    "uniformBuffers",
+    "vertexArrays",
+    "transformFeedbacks",
+    "textures",
+    "renderbuffers",
+    "framebuffers",
+    "queries",
+    "timers"
+];
 
 /**
     PicoGL的主入口。App会存储所有的WebGL状态。
@@ -54,7 +80,11 @@ const Query                   = require("./query");
     @prop {boolean} etcTexturesEnabled WEBGL_compressed_texture_etc扩展是否可用。
     @prop {boolean} astcTexturesEnabled WEBGL_compressed_texture_astc扩展是否可用。
     @prop {boolean} pvrtcTexturesEnabled WEBGL_compressed_texture_pvrtc扩展是否可用。
-    @prop {Object} state 跟踪的GL状态。
+    @prop {boolean} multiDrawEnabled WEBGL_multi_draw扩展是否可用。
+    @prop {boolean} parallelShaderCompileEnabled KHR_parallel_shader_compile扩展是否可用。
+    @prop {Object} state 跟踪的GL状态，包括对象绑定和所有固定管线状态。状态设定方法
+        只会在值发生变化时调用 GL。
+    @prop {Object} resources 由 App 创建的所有 GL 对象，在上下文恢复时会被自动恢复。
     @prop {GLEnum} clearBits Current clear mask to use with clear().    
 */
 class App {
@@ -64,14 +94,10 @@ class App {
         this.gl = gl;
         this.width = this.gl.drawingBufferWidth;
         this.height = this.gl.drawingBufferHeight;
-        this.viewportX = 0;
-        this.viewportY = 0;
-        this.viewportWidth = 0;
-        this.viewportHeight = 0;
         this.currentDrawCalls = null;
         this.emptyFragmentShader = null;
 
-        this.state = {
+        this.state = Object.assign({
             program: null,
             vertexArray: null,
             transformFeedback: null,
@@ -80,7 +106,31 @@ class App {
             uniformBuffers: new Array(CONSTANTS.WEBGL_INFO.MAX_UNIFORM_BUFFERS),
             freeUniformBufferBases: [],
             drawFramebuffer: null,
-            readFramebuffer: null
+            readFramebuffer: null,
+            multiDrawExt: null,
+            colorBufferFloatExt: null,
+            parallelShaderCompileExt: null,
+            strictMode: false
+        }, DEFAULT_RENDER_STATE);
+
+        // 默认 framebuffer 的视口和裁剪盒初始为整个画布
+        this.state.scissorWidth = this.width;
+        this.state.scissorHeight = this.height;
+        this.state.viewportWidth = this.width;
+        this.state.viewportHeight = this.height;
+
+        this.resources = {
+            shaders: [],
+            programs: [],
+            vertexBuffers: [],
+            uniformBuffers: [],
+            vertexArrays: [],
+            transformFeedbacks: [],
+            textures: [],
+            renderbuffers: [],
+            framebuffers: [],
+            queries: [],
+            timers: []
         };
 
         this.clearBits = this.gl.COLOR_BUFFER_BIT | this.gl.DEPTH_BUFFER_BIT| this.gl.STENCIL_BUFFER_BIT;
@@ -96,11 +146,29 @@ class App {
         this.etcTexturesEnabled = false;
         this.astcTexturesEnabled = false;
         this.pvrtcTexturesEnabled = false;
+        this.multiDrawEnabled = false;
+        this.parallelShaderCompileEnabled = false;
 
-        this.viewport(0, 0, this.width, this.height);
+        this.shaderChunks = {};
 
         this.contextRestoredHandler = null;
         this.contextLostExt = null;
+        this.restoreErrors = [];
+
+        // readPixelsAsync() 的空闲 PIXEL_PACK_BUFFER 及其 fence，读取完成后放回以便重用
+        this.pixelPackBuffers = [];
+
+        this.canvas.addEventListener("webglcontextlost", (e) => {
+            e.preventDefault();
+        });
+
+        this.canvas.addEventListener("webglcontextrestored", () => {
+            this.restoreResources();
+
+            if (this.contextRestoredHandler) {
+                this.contextRestoredHandler(this.restoreErrors);
+            }
+        });
     }
 
     /**
@@ -136,27 +204,164 @@ class App {
     }
 
     /**
-        为上下文从丢失中恢复设定一个句柄。
+        为上下文从丢失中恢复设定一个句柄。句柄会在 App 自动恢复所有
+        由它创建的对象之后调用，参数为恢复过程中抛出的错误数组（参见 restoreResources()）。
 
         @method
         @param {function} fn 上下文恢复句柄。
         @return {App} App对象。
     */
     onContextRestored(fn) {
-        if (this.contextRestoredHandler) {
-            this.canvas.removeEventListener("webglcontextrestored", this.contextRestoredHandler);
-        } else {
-            this.canvas.addEventListener("webglcontextlost", (e) => {
-                e.preventDefault();
-            });
-        }
-        
-        this.canvas.addEventListener("webglcontextrestored", fn);
         this.contextRestoredHandler = fn;
 
         return this;
     }
 
+    /**
+        在上下文恢复后，按依赖顺序恢复所有由 App 创建的对象：着色器和程序、
+        缓冲、顶点数组、贴图、帧缓冲及其附件，最后是查询和计时器。同时会重置
+        跟踪的绑定状态并重新提交跟踪的渲染状态。上下文恢复时会自动调用。
+        单个对象恢复失败（例如严格模式下着色器编译失败）时，错误会输出到控制台并
+        记录在 restoreErrors 中，其余对象仍会继续恢复。
+
+        @method
+        @return {App} App对象。
+    */
+    restoreResources() {
+        this.restoreErrors = [];
+        this.pixelPackBuffers.length = 0;
+        this.resetBindingState();
+
+        if (this.floatRenderTargetsEnabled) {
+            this.floatRenderTargets();
+        }
+
+        if (this.linearFloatTexturesEnabled) {
+            this.linearFloatTextures();
+        }
+
+        if (this.s3tcTexturesEnabled || this.s3tcSRGBTexturesEnabled) {
+            this.s3tcTextures();
+        }
+
+        if (this.etcTexturesEnabled) {
+            this.etcTextures();
+        }
+
+        if (this.astcTexturesEnabled) {
+            this.astcTextures();
+        }
+
+        if (this.pvrtcTexturesEnabled) {
+            this.pvrtcTextures();
+        }
+
+        if (this.multiDrawEnabled) {
+            this.multiDraw();
+        }
+
+        if (this.parallelShaderCompileEnabled) {
+            this.parallelShaderCompile();
+        }
+
+        for (let i = 0, len = RESOURCE_RESTORE_ORDER.length; i < len; ++i) {
+            // 复制列表，恢复过程中可能会有资源被删除
+            let list = this.resources[RESOURCE_RESTORE_ORDER[i]].slice();
+
+            for (let j = 0, numResources = list.length; j < numResources; ++j) {
+                try {
+                    list[j].restore();
+                } catch (e) {
+                    console.error(e.message);
+                    this.restoreErrors.push(e);
+                }
+            }
+        }
+
+        this.applyState();
+
+        return this;
+    }
+
+    /**
+        清空跟踪的绑定状态（程序、顶点数组、贴图、缓冲和帧缓冲）。
+
+        @method
+        @ignore
+        @return {App} App对象。
+    */
+    resetBindingState() {
+        let state = this.state;
+
+        state.program = null;
+        state.vertexArray = null;
+        state.transformFeedback = null;
+        state.activeTexture = -1;
+        state.textures.fill(null);
+        state.uniformBuffers.fill(null);
+        state.freeUniformBufferBases.length = 0;
+        state.drawFramebuffer = null;
+        state.readFramebuffer = null;
+
+        return this;
+    }
+
+    /**
+        将跟踪的渲染状态全部提交到 GL，不做冗余检查。用于上下文恢复后重建 GL 状态。
+
+        @method
+        @ignore
+        @return {App} App对象。
+    */
+    applyState() {
+        applyRenderState(this.gl, this.state);
+
+        return this;
+    }
+
+    /**
+        将用户传入的预处理选项与 App 的代码片段注册表合并。
+
+        @method
+        @ignore
+        @param {Object} [options] 着色器预处理选项。
+        @return {Object} 传给 Shader 的预处理选项。
+    */
+    shaderOptions(options) {
+        return Object.assign({ chunks: this.shaderChunks }, options);
+    }
+
+    /**
+        获取当前跟踪的渲染状态（混合、深度、蒙版、裁剪、视口等固定管线状态）的快照。
+        快照可以之后传给 setState() 恢复整套管线配置。
+
+        @method
+        @return {Object} 渲染状态快照。
+    */
+    getState() {
+        let snapshot = {};
+
+        for (let key in DEFAULT_RENDER_STATE) {
+            snapshot[key] = this.state[key];
+        }
+
+        return snapshot;
+    }
+
+    /**
+        恢复由 getState() 获取的渲染状态快照。只有与当前跟踪状态不同的值
+        才会被提交到 GL。快照中缺失的属性保持不变。
+
+        @method
+        @param {Object} snapshot 渲染状态快照。
+        @return {App} App对象。
+    */
+    setState(snapshot) {
+        setRenderState(this.gl, this.state, snapshot);
+
+        return this;
+    }
+
     /**
         Set the color mask to selectively enable or disable particular
         color channels while rendering.
@@ -169,7 +374,15 @@ class App {
         @return {App} App对象。
     */
     colorMask(r, g, b, a) {
-        this.gl.colorMask(r, g, b, a);
+        let state = this.state;
+
+        if (state.colorMaskRed !== r || state.colorMaskGreen !== g || state.colorMaskBlue !== b || state.colorMaskAlpha !== a) {
+            state.colorMaskRed = r;
+            state.colorMaskGreen = g;
+            state.colorMaskBlue = b;
+            state.colorMaskAlpha = a;
+            this.gl.colorMask(r, g, b, a);
+        }
 
         return this;
     }
@@ -185,7 +398,15 @@ class App {
         @return {App} App对象。
     */
     clearColor(r, g, b, a) {
-        this.gl.clearColor(r, g, b, a);
+        let state = this.state;
+
+        if (state.clearRed !== r || state.clearGreen !== g || state.clearBlue !== b || state.clearAlpha !== a) {
+            state.clearRed = r;
+            state.clearGreen = g;
+            state.clearBlue = b;
+            state.clearAlpha = a;
+            this.gl.clearColor(r, g, b, a);
+        }
 
         return this;
     }
@@ -221,15 +442,42 @@ class App {
 
         @method
         @param {Framebuffer} framebuffer 要绑定的Framebuffer.
+        @param {Object} [options] 选项。
+        @param {boolean} [options.invalidate=false] 切换时使之前绑定的绘图 framebuffer 的临时深度和模板附件失效
+            （临时 MSAA 颜色附件只在 blitFramebuffer() 解析之后失效）。
+            参见 Framebuffer.transientTargets()。
         @see Framebuffer
         @return {App} App对象。
     */
-    drawFramebuffer(framebuffer) {
+    drawFramebuffer(framebuffer, options = CONSTANTS.DUMMY_OBJECT) {
+        if (options.invalidate) {
+            this.invalidateDrawFramebuffer(framebuffer);
+        }
+
         framebuffer.bindForDraw();
 
         return this;
     }
 
+    /**
+        切换绘图 framebuffer 之前，使当前绑定的绘图 framebuffer 的临时深度和模板附件失效。
+
+        @method
+        @ignore
+        @param {Framebuffer} next 将要绑定的 framebuffer（null 为默认 framebuffer）。
+        @return {App} App 对象。
+    */
+    invalidateDrawFramebuffer(next) {
+        let current = this.state.drawFramebuffer;
+
+        // 只使深度和模板附件失效：MSAA 颜色附件通常还需要在切换之后通过 blit 解析
+        if (current && current !== next) {
+            current.invalidate(current.transientDepthStencilEnums());
+        }
+
+        return this;
+    }
+
     /**
         为WebGL上下文绑定一个读取framebuffer。
 
@@ -249,9 +497,17 @@ class App {
         注意这个方法会重置视口以适应默认framebuffer。
 
         @method
+        @param {Object} [options] 选项。
+        @param {boolean} [options.invalidate=false] 切换时使之前绑定的绘图 framebuffer 的临时深度和模板附件失效
+            （临时 MSAA 颜色附件只在 blitFramebuffer() 解析之后失效）。
+            参见 Framebuffer.transientTargets()。
         @return {App} App对象。
     */
-    defaultDrawFramebuffer() {
+    defaultDrawFramebuffer(options = CONSTANTS.DUMMY_OBJECT) {
+        if (options.invalidate) {
+            this.invalidateDrawFramebuffer(null);
+        }
+
         if (this.state.drawFramebuffer !== null) {
             this.gl.bindFramebuffer(this.gl.DRAW_FRAMEBUFFER, null);
             this.state.drawFramebuffer = null;
@@ -290,6 +546,8 @@ class App {
         @param {number} [options.dstEndX=Width of the draw framebuffer] Destination end x coordinate. 
         @param {number} [options.dstEndY=Height of the draw framebuffer] Destination end y coordinate. 
         @param {number} [options.filter=NEAREST] Sampling filter. 
+        @param {boolean} [options.invalidate=false] blit 之后使读取 framebuffer 的临时附件（例如 MSAA 渲染缓冲）失效。
+            参见 Framebuffer.transientTargets()。
         @return {App} App 对象。
     */  
     blitFramebuffer(mask, options = CONSTANTS.DUMMY_OBJECT) {
@@ -309,11 +567,16 @@ class App {
             dstStartY = 0,
             dstEndX = defaultDrawWidth,
             dstEndY = defaultDrawHeight,
-            filter = CONSTANTS.NEAREST
+            filter = CONSTANTS.NEAREST,
+            invalidate = false
         } = options;
 
         this.gl.blitFramebuffer(srcStartX, srcStartY, srcEndX, srcEndY, dstStartX, dstStartY, dstEndX, dstEndY, mask, filter);
 
+        if (invalidate && readFramebuffer) {
+            readFramebuffer.invalidate(readFramebuffer.transientAttachments);
+        }
+
         return this;
     }
 
@@ -326,7 +589,11 @@ class App {
         @return {App} App 对象。
     */
     depthRange(near, far) {
-        this.gl.depthRange(near, far);
+        if (this.state.depthRangeNear !== near || this.state.depthRangeFar !== far) {
+            this.state.depthRangeNear = near;
+            this.state.depthRangeFar = far;
+            this.gl.depthRange(near, far);
+        }
 
         return this;
     }
@@ -338,7 +605,10 @@ class App {
         @return {App} App 对象。
     */
     depthTest() {
-        this.gl.enable(this.gl.DEPTH_TEST);
+        if (!this.state.depthTest) {
+            this.state.depthTest = true;
+            this.gl.enable(this.gl.DEPTH_TEST);
+        }
 
         return this;
     }
@@ -350,7 +620,10 @@ class App {
         @return {App} App 对象。
     */
     noDepthTest() {
-        this.gl.disable(this.gl.DEPTH_TEST);
+        if (this.state.depthTest) {
+            this.state.depthTest = false;
+            this.gl.disable(this.gl.DEPTH_TEST);
+        }
 
         return this;
     }
@@ -363,7 +636,10 @@ class App {
         @return {App} App 对象。
     */
     depthMask(mask) {
-        this.gl.depthMask(mask);
+        if (this.state.depthMask !== mask) {
+            this.state.depthMask = mask;
+            this.gl.depthMask(mask);
+        }
 
         return this;
     }
@@ -376,7 +652,10 @@ class App {
         @return {App} App 对象。
     */
     depthFunc(func) {
-        this.gl.depthFunc(func);
+        if (this.state.depthFunc !== func) {
+            this.state.depthFunc = func;
+            this.gl.depthFunc(func);
+        }
 
         return this;
     }
@@ -388,7 +667,10 @@ class App {
         @return {App} App 对象。
     */
     blend() {
-        this.gl.enable(this.gl.BLEND);
+        if (!this.state.blend) {
+            this.state.blend = true;
+            this.gl.enable(this.gl.BLEND);
+        }
 
         return this;
     }
@@ -400,7 +682,10 @@ class App {
         @return {App} App 对象。
     */
     noBlend() {
-        this.gl.disable(this.gl.BLEND);
+        if (this.state.blend) {
+            this.state.blend = false;
+            this.gl.disable(this.gl.BLEND);
+        }
 
         return this;
     }
@@ -414,7 +699,7 @@ class App {
         @return {App} App 对象。
     */
     blendFunc(src, dest) {
-        this.gl.blendFunc(src, dest);
+        this.blendFuncSeparate(src, dest, src, dest);
 
         return this;
     }
@@ -431,7 +716,15 @@ class App {
         @return {App} App 对象。
     */
     blendFuncSeparate(csrc, cdest, asrc, adest) {
-        this.gl.blendFuncSeparate(csrc, cdest, asrc, adest);
+        let state = this.state;
+
+        if (state.blendSrcRGB !== csrc || state.blendDestRGB !== cdest || state.blendSrcAlpha !== asrc || state.blendDestAlpha !== adest) {
+            state.blendSrcRGB = csrc;
+            state.blendDestRGB = cdest;
+            state.blendSrcAlpha = asrc;
+            state.blendDestAlpha = adest;
+            this.gl.blendFuncSeparate(csrc, cdest, asrc, adest);
+        }
 
         return this;
     }
@@ -444,7 +737,10 @@ class App {
         @return {App} App 对象。
     */
     stencilTest() {
-        this.gl.enable(this.gl.STENCIL_TEST);
+        if (!this.state.stencilTest) {
+            this.state.stencilTest = true;
+            this.gl.enable(this.gl.STENCIL_TEST);
+        }
 
         return this;
     }
@@ -456,7 +752,10 @@ class App {
         @return {App} App 对象。
     */
     noStencilTest() {
-        this.gl.disable(this.gl.STENCIL_TEST);
+        if (this.state.stencilTest) {
+            this.state.stencilTest = false;
+            this.gl.disable(this.gl.STENCIL_TEST);
+        }
 
         return this;
     }
@@ -469,7 +768,10 @@ class App {
         @return {App} App 对象。
     */
     scissorTest() {
-        this.gl.enable(this.gl.SCISSOR_TEST);
+        if (!this.state.scissorTest) {
+            this.state.scissorTest = true;
+            this.gl.enable(this.gl.SCISSOR_TEST);
+        }
 
         return this;
     }
@@ -481,7 +783,10 @@ class App {
         @return {App} App 对象。
     */
     noScissorTest() {
-        this.gl.disable(this.gl.SCISSOR_TEST);
+        if (this.state.scissorTest) {
+            this.state.scissorTest = false;
+            this.gl.disable(this.gl.SCISSOR_TEST);
+        }
 
         return this;
     }
@@ -493,7 +798,15 @@ class App {
         @return {App} App 对象。
     */
     scissor(x, y, width, height) {
-        this.gl.scissor(x, y, width, height);
+        let state = this.state;
+
+        if (state.scissorX !== x || state.scissorY !== y || state.scissorWidth !== width || state.scissorHeight !== height) {
+            state.scissorX = x;
+            state.scissorY = y;
+            state.scissorWidth = width;
+            state.scissorHeight = height;
+            this.gl.scissor(x, y, width, height);
+        }
 
         return this;
     }
@@ -509,7 +822,7 @@ class App {
 
     */
     stencilMask(mask) {
-        this.gl.stencilMask(mask);
+        this.stencilMaskSeparate(CONSTANTS.FRONT_AND_BACK, mask);
 
         return this;
     }
@@ -525,7 +838,21 @@ class App {
         @return {App} App 对象。
     */
     stencilMaskSeparate(face, mask) {
-        this.gl.stencilMaskSeparate(face, mask);
+        let state = this.state;
+        let front = face !== CONSTANTS.BACK && state.stencilFrontWriteMask !== mask;
+        let back = face !== CONSTANTS.FRONT && state.stencilBackWriteMask !== mask;
+
+        if (front || back) {
+            if (face !== CONSTANTS.BACK) {
+                state.stencilFrontWriteMask = mask;
+            }
+
+            if (face !== CONSTANTS.FRONT) {
+                state.stencilBackWriteMask = mask;
+            }
+
+            this.gl.stencilMaskSeparate(face, mask);
+        }
 
         return this;
     }
@@ -543,7 +870,7 @@ class App {
         @return {App} App 对象。
     */
     stencilFunc(func, ref, mask) {
-        this.gl.stencilFunc(func, ref, mask);
+        this.stencilFuncSeparate(CONSTANTS.FRONT_AND_BACK, func, ref, mask);
 
         return this;
     }
@@ -562,7 +889,25 @@ class App {
         @return {App} The App object.
     */
     stencilFuncSeparate(face, func, ref, mask) {
-        this.gl.stencilFuncSeparate(face, func, ref, mask);
+        let state = this.state;
+        let front = face !== CONSTANTS.BACK && (state.stencilFrontFunc !== func || state.stencilFrontRef !== ref || state.stencilFrontValueMask !== mask);
+        let back = face !== CONSTANTS.FRONT && (state.stencilBackFunc !== func || state.stencilBackRef !== ref || state.stencilBackValueMask !== mask);
+
+        if (front || back) {
+            if (face !== CONSTANTS.BACK) {
+                state.stencilFrontFunc = func;
+                state.stencilFrontRef = ref;
+                state.stencilFrontValueMask = mask;
+            }
+
+            if (face !== CONSTANTS.FRONT) {
+                state.stencilBackFunc = func;
+                state.stencilBackRef = ref;
+                state.stencilBackValueMask = mask;
+            }
+
+            this.gl.stencilFuncSeparate(face, func, ref, mask);
+        }
 
         return this;
     }
@@ -579,7 +924,7 @@ class App {
         @return {App} The App object.
     */
     stencilOp(stencilFail, depthFail, pass) {
-        this.gl.stencilOp(stencilFail, depthFail, pass);
+        this.stencilOpSeparate(CONSTANTS.FRONT_AND_BACK, stencilFail, depthFail, pass);
 
         return this;
     }
@@ -597,7 +942,25 @@ class App {
         @return {App} The App object.
     */
     stencilOpSeparate(face, stencilFail, depthFail, pass) {
-        this.gl.stencilOpSeparate(face, stencilFail, depthFail, pass);
+        let state = this.state;
+        let front = face !== CONSTANTS.BACK && (state.stencilFrontFail !== stencilFail || state.stencilFrontDepthFail !== depthFail || state.stencilFrontPass !== pass);
+        let back = face !== CONSTANTS.FRONT && (state.stencilBackFail !== stencilFail || state.stencilBackDepthFail !== depthFail || state.stencilBackPass !== pass);
+
+        if (front || back) {
+            if (face !== CONSTANTS.BACK) {
+                state.stencilFrontFail = stencilFail;
+                state.stencilFrontDepthFail = depthFail;
+                state.stencilFrontPass = pass;
+            }
+
+            if (face !== CONSTANTS.FRONT) {
+                state.stencilBackFail = stencilFail;
+                state.stencilBackDepthFail = depthFail;
+                state.stencilBackPass = pass;
+            }
+
+            this.gl.stencilOpSeparate(face, stencilFail, depthFail, pass);
+        }
 
         return this;
     }
@@ -609,7 +972,10 @@ class App {
         @return {App} App 对象。
     */
     rasterize() {
-        this.gl.disable(this.gl.RASTERIZER_DISCARD);
+        if (this.state.rasterizerDiscard) {
+            this.state.rasterizerDiscard = false;
+            this.gl.disable(this.gl.RASTERIZER_DISCARD);
+        }
 
         return this;
     }
@@ -621,7 +987,10 @@ class App {
         @return {App} App 对象。
     */
     noRasterize() {
-        this.gl.enable(this.gl.RASTERIZER_DISCARD);
+        if (!this.state.rasterizerDiscard) {
+            this.state.rasterizerDiscard = true;
+            this.gl.enable(this.gl.RASTERIZER_DISCARD);
+        }
 
         return this;
     }
@@ -633,7 +1002,10 @@ class App {
         @return {App} App 对象。
     */
     cullBackfaces() {
-        this.gl.enable(this.gl.CULL_FACE);
+        if (!this.state.cullFace) {
+            this.state.cullFace = true;
+            this.gl.enable(this.gl.CULL_FACE);
+        }
 
         return this;
     }
@@ -645,7 +1017,10 @@ class App {
         @return {App} App 对象。
     */
     drawBackfaces() {
-        this.gl.disable(this.gl.CULL_FACE);
+        if (this.state.cullFace) {
+            this.state.cullFace = false;
+            this.gl.disable(this.gl.CULL_FACE);
+        }
 
         return this;
     }
@@ -658,7 +1033,8 @@ class App {
         @return {App} App 对象。
     */
     floatRenderTargets() {
-        this.floatRenderTargetsEnabled = !!this.gl.getExtension("EXT_color_buffer_float");
+        this.state.colorBufferFloatExt = this.gl.getExtension("EXT_color_buffer_float");
+        this.floatRenderTargetsEnabled = !!this.state.colorBufferFloatExt;
 
         return this;
     }
@@ -863,6 +1239,61 @@ class App {
         return this;
     }
 
+    /**
+        启用 WEBGL_multi_draw 扩展。允许 DrawCall.drawMulti() 在一次调用中绘制多个范围。
+        扩展不可用时，drawMulti() 会逐个范围进行绘制。
+
+        @method
+        @see DrawCall
+        @return {App} App 对象。
+    */
+    multiDraw() {
+        this.state.multiDrawExt = this.gl.getExtension("WEBGL_multi_draw");
+        this.multiDrawEnabled = !!this.state.multiDrawExt;
+
+        return this;
+    }
+
+    /**
+        启用 KHR_parallel_shader_compile 扩展。允许 createPrograms() 在不阻塞的情况下
+        查询编译是否完成。createPrograms() 会自动尝试启用这个扩展。
+
+        @method
+        @return {App} App 对象。
+    */
+    parallelShaderCompile() {
+        this.state.parallelShaderCompileExt = this.gl.getExtension("KHR_parallel_shader_compile");
+        this.parallelShaderCompileEnabled = !!this.state.parallelShaderCompileExt;
+
+        return this;
+    }
+
+    /**
+        启用严格模式。着色器编译或程序链接失败时抛出 ShaderCompileError 或 ProgramLinkError，
+        而不是输出到控制台后继续使用无效的对象。帧缓冲每次附加目标或切换层级后会自动调用
+        Framebuffer.validate()，不完整时抛出列出所有原因的 Error。
+
+        @method
+        @return {App} App 对象。
+    */
+    strictMode() {
+        this.state.strictMode = true;
+
+        return this;
+    }
+
+    /**
+        禁用严格模式。
+
+        @method
+        @return {App} App 对象。
+    */
+    noStrictMode() {
+        this.state.strictMode = false;
+
+        return this;
+    }
+
     /**
         从当前绑定的帧缓冲中读取一个像素的色值。
 
@@ -886,6 +1317,131 @@ class App {
         return this;
     }
 
+    /**
+        从当前绑定的读取帧缓冲中读取一个矩形区域的像素。默认的格式和类型由读取的附件决定：
+        浮点附件为 RGBA/FLOAT，有符号整数附件为 RGBA_INTEGER/INT，无符号整数附件为
+        RGBA_INTEGER/UNSIGNED_INT，其他（包括默认帧缓冲）为 RGBA/UNSIGNED_BYTE。
+        注意：返回数据的第一行是矩形区域的底部，参见 PicoGL.flipPixelRows()。
+
+        @method
+        @param {number} x 矩形区域左下角的 x 坐标。
+        @param {number} y 矩形区域左下角的 y 坐标。
+        @param {number} width 矩形区域的宽度。
+        @param {number} height 矩形区域的高度。
+        @param {Object} [options] 选项。
+        @param {number} [options.attachment=0] 读取的颜色附件索引（使用 readBuffer 选择）。
+        @param {GLEnum} [options.format] 读取的数据格式。默认由附件决定。
+        @param {GLEnum} [options.type] 读取的数据类型。默认由附件决定。
+        @param {ArrayBufferView} [options.dst] 存储像素数据的数组。默认创建一个与格式和类型相符的数组。
+        @return {ArrayBufferView} 存储像素数据的数组。
+    */
+    readPixels(x, y, width, height, options = CONSTANTS.DUMMY_OBJECT) {
+        let { format, type, attachment } = this.readPixelsFormat(options);
+        let { dst = createPixelArray(width, height, format, type) } = options;
+
+        this.readAttachment(attachment);
+        this.gl.readPixels(x, y, width, height, format, type, dst);
+        this.readAttachment(0);
+
+        return dst;
+    }
+
+    /**
+        从当前绑定的读取帧缓冲中异步读取一个矩形区域的像素。像素数据先被写入 PIXEL_PACK_BUFFER，
+        在 GPU 完成之前不会阻塞流水线；通过 fence 同步对象在每一帧中查询完成状态。
+        读取完成后缓冲和 fence 会被放回 App 的缓冲池，供之后的调用重用（必要时扩大缓冲），
+        因此可以在每一帧或每次鼠标移动时调用。
+
+        @method
+        @param {number} x 矩形区域左下角的 x 坐标。
+        @param {number} y 矩形区域左下角的 y 坐标。
+        @param {number} width 矩形区域的宽度。
+        @param {number} height 矩形区域的高度。
+        @param {Object} [options] 选项，与 readPixels() 相同。
+        @param {number} [options.attachment=0] 读取的颜色附件索引（使用 readBuffer 选择）。
+        @param {GLEnum} [options.format] 读取的数据格式。默认由附件决定。
+        @param {GLEnum} [options.type] 读取的数据类型。默认由附件决定。
+        @param {ArrayBufferView} [options.dst] 存储像素数据的数组。默认创建一个与格式和类型相符的数组。
+        @return {Promise} 读取完成后以存储像素数据的数组解决。
+    */
+    readPixelsAsync(x, y, width, height, options = CONSTANTS.DUMMY_OBJECT) {
+        let { format, type, attachment } = this.readPixelsFormat(options);
+        let { dst = createPixelArray(width, height, format, type) } = options;
+
+        let gl = this.gl;
+        // 同时进行中的读取各自使用一个缓冲，否则后提交的读取会覆盖尚未取回的数据
+        let readback = this.pixelPackBuffers.pop() || { buffer: gl.createBuffer(), byteLength: 0, fence: null };
+
+        gl.bindBuffer(CONSTANTS.PIXEL_PACK_BUFFER, readback.buffer);
+        if (readback.byteLength < dst.byteLength) {
+            gl.bufferData(CONSTANTS.PIXEL_PACK_BUFFER, dst.byteLength, CONSTANTS.STREAM_READ);
+            readback.byteLength = dst.byteLength;
+        }
+        this.readAttachment(attachment);
+        gl.readPixels(x, y, width, height, format, type, 0);
+        this.readAttachment(0);
+        gl.bindBuffer(CONSTANTS.PIXEL_PACK_BUFFER, null);
+
+        if (readback.fence) {
+            readback.fence.insert();
+        } else {
+            readback.fence = new Fence(gl);
+        }
+
+        return readback.fence.whenSignaled().then(() => {
+            gl.bindBuffer(CONSTANTS.PIXEL_PACK_BUFFER, readback.buffer);
+            gl.getBufferSubData(CONSTANTS.PIXEL_PACK_BUFFER, 0, dst);
+            gl.bindBuffer(CONSTANTS.PIXEL_PACK_BUFFER, null);
+            this.pixelPackBuffers.push(readback);
+
+            return dst;
+        }, (error) => {
+            readback.fence.delete();
+            gl.deleteBuffer(readback.buffer);
+            throw error;
+        });
+    }
+
+    /**
+        确定读取像素使用的颜色附件、格式和类型。
+
+        @method
+        @ignore
+        @param {Object} options readPixels() 的选项。
+        @return {Object} { format, type, attachment }。
+    */
+    readPixelsFormat(options) {
+        let framebuffer = this.state.readFramebuffer;
+        let { attachment = 0 } = options;
+        let target = framebuffer ? framebuffer.colorAttachments[attachment] : null;
+        let defaults = readFormat(target ? target.internalFormat : CONSTANTS.RGBA8);
+        let {
+            format = defaults.format,
+            type = defaults.type
+        } = options;
+
+        return { format, type, attachment };
+    }
+
+    /**
+        为当前绑定的读取帧缓冲选择读取的颜色附件。默认帧缓冲忽略这个操作。
+
+        @method
+        @ignore
+        @param {number} attachment 颜色附件索引。
+        @return {App} App 对象。
+    */
+    readAttachment(attachment) {
+        let framebuffer = this.state.readFramebuffer;
+
+        if (framebuffer && framebuffer.readAttachment !== attachment) {
+            this.gl.readBuffer(CONSTANTS.COLOR_ATTACHMENT0 + attachment);
+            framebuffer.readAttachment = attachment;
+        }
+
+        return this;
+    }
+
     /**
         设定视口大小。
 
@@ -897,14 +1453,15 @@ class App {
         @return {App} App 对象。
     */
     viewport(x, y, width, height) {
-
-        if (this.viewportWidth !== width || this.viewportHeight !== height ||
-                this.viewportX !== x || this.viewportY !== y) {
-            this.viewportX = x;
-            this.viewportY = y;
-            this.viewportWidth = width;
-            this.viewportHeight = height;
-            this.gl.viewport(x, y, this.viewportWidth, this.viewportHeight);
+        let state = this.state;
+
+        if (state.viewportWidth !== width || state.viewportHeight !== height ||
+                state.viewportX !== x || state.viewportY !== y) {
+            state.viewportX = x;
+            state.viewportY = y;
+            state.viewportWidth = width;
+            state.viewportHeight = height;
+            this.gl.viewport(x, y, width, height);
         }
 
         return this;
@@ -940,6 +1497,21 @@ class App {
 
         return this;
     }
+    /**
+        注册一个着色器代码片段，可以在着色器源码中通过 #include "name" 引用。
+        每个代码片段在一个着色器中只会被包含一次。
+
+        @method
+        @param {string} name 代码片段名称。
+        @param {string} source 代码片段源码。
+        @return {App} App 对象。
+    */
+    shaderChunk(name, source) {
+        this.shaderChunks[name] = source;
+
+        return this;
+    }
+
     /**
         创建一个程序。
 
@@ -947,10 +1519,97 @@ class App {
         @param {Shader|string} vertexShader 顶点着色器对象或源码。
         @param {Shader|string} fragmentShader 片元着色器对象或源码
         @param {Array} [xformFeedbackVars] Transform feedback varyings.
+        @param {Object} [options] 着色器预处理选项（仅用于以源码传入的着色器）。
+        @param {Object} [options.defines] 注入到着色器中的 #define，名称与值的映射。
+        @param {string} [options.version="300 es"] 源码中没有 #version 指令时使用的版本。
+        @param {string} [options.precision="highp"] 片元着色器没有声明 float 精度时使用的精度。
+        @param {Object} [options.attributeLocations] 属性名称到 location 的映射，在链接前通过
+            bindAttribLocation 应用，使多个程序可以共享同一个顶点数组布局。
         @return {Program} 新的程序对象。
     */
-    createProgram(vsSource, fsSource, xformFeedbackVars) {
-        return new Program(this.gl, this.state, vsSource, fsSource, xformFeedbackVars);
+    createProgram(vsSource, fsSource, xformFeedbackVars, options) {
+        if (xformFeedbackVars && !Array.isArray(xformFeedbackVars)) {
+            options = xformFeedbackVars;
+            xformFeedbackVars = null;
+        }
+
+        let program = new Program(this.gl, this.state, vsSource, fsSource, xformFeedbackVars, this.shaderOptions(options));
+        trackResource(this.resources.programs, program);
+
+        return program;
+    }
+
+    /**
+        异步创建多个程序。所有着色器的编译和链接会先全部提交给驱动，在
+        KHR_parallel_shader_compile 可用时轮询 COMPLETION_STATUS_KHR，编译完成后
+        才查询链接状态和 uniform 等信息，从而避免阻塞主线程。
+
+        @method
+        @param {Array} programSources 每个元素是传给 createProgram() 的参数数组：
+            [vertexShader, fragmentShader, xformFeedbackVars, options]。
+        @return {Promise} 所有程序初始化完成后，以程序对象数组（顺序与参数一致）解决。
+            严格模式下任一程序编译或链接失败时，会等待其余程序完成，然后删除全部程序，
+            并以第一个错误拒绝。
+    */
+    createPrograms(programSources) {
+        if (!this.parallelShaderCompileEnabled) {
+            this.parallelShaderCompile();
+        }
+
+        let programs = programSources.map((args) => {
+            let [ vsSource, fsSource, xformFeedbackVars, options ] = args;
+
+            if (xformFeedbackVars && !Array.isArray(xformFeedbackVars)) {
+                options = xformFeedbackVars;
+                xformFeedbackVars = null;
+            }
+
+            let program = new Program(this.gl, this.state, vsSource, fsSource, xformFeedbackVars, this.shaderOptions(options), true);
+            trackResource(this.resources.programs, program);
+
+            return program;
+        });
+
+        let pending = programs.slice();
+        let error = null;
+
+        return new Promise((resolve, reject) => {
+            let poll = () => {
+                for (let i = pending.length - 1; i >= 0; --i) {
+                    let program = pending[i];
+
+                    // 程序可能已经在上下文恢复时被同步初始化
+                    if (program.pendingShaders === null) {
+                        pending.splice(i, 1);
+                    } else if (program.checkCompletion()) {
+                        pending.splice(i, 1);
+
+                        // 单个程序失败时继续等待其余程序，避免它们停留在未初始化状态
+                        try {
+                            program.initialize();
+                        } catch (e) {
+                            if (!error) {
+                                error = e;
+                            }
+                        }
+                    }
+                }
+
+                if (pending.length > 0) {
+                    requestAnimationFrame(poll);
+                } else if (error) {
+                    for (let i = 0, len = programs.length; i < len; ++i) {
+                        programs[i].delete();
+                    }
+
+                    reject(error);
+                } else {
+                    resolve(programs);
+                }
+            };
+
+            poll();
+        });
     }
 
     /**
@@ -959,10 +1618,14 @@ class App {
         @method
         @param {GLEnum} type 着色器类型。
         @param {string} source 着色器源码。
+        @param {Object} [options] 着色器预处理选项，参见 createProgram。
         @return {Shader} 新的着色器对象。
     */
-    createShader(type, source) {
-        return new Shader(this.gl, type, source);
+    createShader(type, source, options) {
+        let shader = new Shader(this.gl, this.state, type, source, this.shaderOptions(options));
+        trackResource(this.resources.shaders, shader);
+
+        return shader;
     }
 
     /**
@@ -972,7 +1635,10 @@ class App {
         @return {VertexArray} 新的顶点数组对象。
     */
     createVertexArray(numElements = 0, numInstances = 0) {
-        return new VertexArray(this.gl, this.state, numElements, numInstances);
+        let vertexArray = new VertexArray(this.gl, this.state, numElements, numInstances);
+        trackResource(this.resources.vertexArrays, vertexArray);
+
+        return vertexArray;
     }
 
     /**
@@ -982,7 +1648,10 @@ class App {
         @return {TransformFeedback} 新的变换回传（Transform Feedback）对象。
     */
     createTransformFeedback() {
-        return new TransformFeedback(this.gl, this.state);
+        let transformFeedback = new TransformFeedback(this.gl, this.state);
+        trackResource(this.resources.transformFeedbacks, transformFeedback);
+
+        return transformFeedback;
     }
 
     /**
@@ -997,7 +1666,10 @@ class App {
         @return {VertexBuffer} 新的顶点缓冲对象。
     */
     createVertexBuffer(type, itemSize, data, usage) {
-        return new VertexBuffer(this.gl, this.state, type, itemSize, data, usage);
+        let vertexBuffer = new VertexBuffer(this.gl, this.state, type, itemSize, data, usage);
+        trackResource(this.resources.vertexBuffers, vertexBuffer);
+
+        return vertexBuffer;
     }
 
     /**
@@ -1013,35 +1685,103 @@ class App {
         @return {VertexBuffer} New VertexBuffer object.
     */
     createMatrixBuffer(type, data, usage) {
-        return new VertexBuffer(this.gl, this.state, type, 0, data, usage);
+        let vertexBuffer = new VertexBuffer(this.gl, this.state, type, 0, data, usage);
+        trackResource(this.resources.vertexBuffers, vertexBuffer);
+
+        return vertexBuffer;
+    }
+
+    /**
+        创建一个交错顶点缓冲，多个属性存储在同一个缓冲中。
+
+        @method
+        @param {Array} layout 属性描述数组，每个元素为
+            { name, type = FLOAT, size = 4, normalized = false, integer = false, offset }。
+            省略 offset 时按顺序紧密排列（按类型大小对齐）。每个顶点的跨度向上对齐到 4 字节。
+        @param {ArrayBufferView|ArrayBuffer|number} data 缓冲数据本身或顶点数量。
+        @param {GLEnum} [usage=STATIC_DRAW] 缓冲的使用模式。
+        @return {VertexBuffer} 新的顶点缓冲对象。
+    */
+    createInterleavedBuffer(layout, data, usage) {
+        let vertexBuffer = new VertexBuffer(this.gl, this.state, null, layout, data, usage);
+        trackResource(this.resources.vertexBuffers, vertexBuffer);
+
+        return vertexBuffer;
     }
 
     /**
-        创建索引缓冲。
+        创建索引缓冲。类型的最大值（例如 UNSIGNED_SHORT 的 0xFFFF）会重启图元。
 
         @method
-        @param {GLEnum} type 存储在索引缓冲中的数据类型。
-        @param {number} itemSize 每片元元素数量。
+        @param {GLEnum} type 存储在索引缓冲中的数据类型（UNSIGNED_BYTE、UNSIGNED_SHORT 或 UNSIGNED_INT）。
+        @param {number} itemSize 每片元元素数量（例如三角形为 3，线段为 2，条带或点为 1）。
         @param {ArrayBufferView} data 索引缓冲数据。
         @param {GLEnum} [usage=STATIC_DRAW] 缓冲用途。
         @return {VertexBuffer} 新的索引缓冲对象。
     */
     createIndexBuffer(type, itemSize, data, usage) {
-        return new VertexBuffer(this.gl, this.state, type, itemSize, data, usage, true);
+        let vertexBuffer = new VertexBuffer(this.gl, this.state, type, itemSize, data, usage, true);
+        trackResource(this.resources.vertexBuffers, vertexBuffer);
+
+        return vertexBuffer;
     }
 
     /**
         创建一个 std140 布局的 uniform 缓冲。注意：FLOAT_MAT2, FLOAT_MAT3x2, FLOAT_MAT4x2,
         FLOAT_MAT3, FLOAT_MAT2x3, FLOAT_MAT4x3 都是支持的，但这些类型必须手动添加 4-float 列对齐。
+        也可以传入一个程序和 uniform 块名称，直接使用从程序查询到的块布局，此时可以用
+        成员名称调用 set()。
+
+        layout 中的元素可以是 GL 类型，也可以是描述数组或结构体的对象：
+        { type, length, name } 表示定长数组，{ struct: [...], length, name } 表示（数组）结构体。
+        结构体成员会被展开，每个成员在 layout 中占一个索引，名称为 "结构体名.成员名"。
+        数组元素可以通过 set(index, arrayIndex, value) 单独设置。
 
         @method
-        @param {Array} layout Array indicating the order and types of items to
-                        be stored in the buffer.
+        @param {Array|Program} layout Array indicating the order and types of items to
+                        be stored in the buffer, or a Program containing the uniform block.
+        @param {string} [blockName] 使用程序布局时的 uniform 块名称。
         @param {GLEnum} [usage=DYNAMIC_DRAW] Buffer usage.
-        @return {UniformBuffer} New UniformBuffer object.
+        @return {UniformBuffer} New UniformBuffer object. 程序尚未初始化或没有这个 uniform 块时抛出错误。
     */
-    createUniformBuffer(layout, usage) {
-        return new UniformBuffer(this.gl, this.state, layout, usage);
+    createUniformBuffer(layout, blockName, usage) {
+        if (layout instanceof Program) {
+            let reflection = layout.reflection;
+
+            if (!reflection) {
+                throw new Error(`Cannot create uniform buffer for block "${blockName}": the program has not been initialized yet (wait for the Promise returned by createPrograms()).`);
+            }
+
+            if (!reflection.uniformBlocks[blockName]) {
+                throw new Error(`Cannot create uniform buffer: the program has no uniform block named "${blockName}".`);
+            }
+
+            layout = reflection.uniformBlocks[blockName];
+        } else {
+            usage = blockName;
+        }
+
+        let uniformBuffer = new UniformBuffer(this.gl, this.state, layout, usage);
+        trackResource(this.resources.uniformBuffers, uniformBuffer);
+
+        return uniformBuffer;
+    }
+
+    /**
+        创建一个 uniform arena：一个被分为 numFrames 个区域轮流使用的大 uniform 缓冲，
+        每帧从当前区域中分配满足 UNIFORM_BUFFER_OFFSET_ALIGNMENT 对齐的片段，用于逐对象的 uniform 数据。
+
+        @method
+        @param {number} frameSize 每帧可分配的字节数。
+        @param {number} [numFrames=3] 轮流使用的帧区域数量。
+        @param {GLEnum} [usage=DYNAMIC_DRAW] Buffer usage.
+        @return {UniformArena} New UniformArena object.
+    */
+    createUniformArena(frameSize, numFrames, usage) {
+        let uniformArena = new UniformArena(this.gl, this.state, frameSize, numFrames, usage);
+        trackResource(this.resources.uniformBuffers, uniformArena);
+
+        return uniformArena;
     }
 
     /**
@@ -1060,7 +1800,7 @@ class App {
         @param {number} [height] Texture height. Required for array or empty data.
         @param {Object} [options] Texture options.
         @param {GLEnum} [options.type] Type of data stored in the texture. Defaults to UNSIGNED_SHORT 
-            if format is DEPTH_COMPONENT, UNSIGNED_BYTE otherwise.
+            if format is DEPTH_COMPONENT, UNSIGNED_INT_24_8 if format is DEPTH_STENCIL, UNSIGNED_BYTE otherwise.
         @param {GLEnum} [options.format=RGBA] Texture data format.
         @param {GLEnum} [options.internalFormat=RGBA] Texture data internal format.
         @param {boolean} [options.flipY=false] Whether the y-axis should be flipped when unpacking the texture. 
@@ -1095,7 +1835,10 @@ class App {
             height = image.height;
         }
 
-        return new Texture(this.gl, this.state, this.gl.TEXTURE_2D, image, width, height, undefined, false, options);
+        let texture = new Texture(this.gl, this.state, this.gl.TEXTURE_2D, image, width, height, undefined, false, options);
+        trackResource(this.resources.textures, texture);
+
+        return texture;
     }
 
     /**
@@ -1110,7 +1853,7 @@ class App {
         @param {number} size Number of images in the array.
         @param {Object} [options] Texture options.
          @param {GLEnum} [options.type] Type of data stored in the texture. Defaults to UNSIGNED_SHORT 
-            if format is DEPTH_COMPONENT, UNSIGNED_BYTE otherwise.
+            if format is DEPTH_COMPONENT, UNSIGNED_INT_24_8 if format is DEPTH_STENCIL, UNSIGNED_BYTE otherwise.
         @param {GLEnum} [options.format=RGBA] Texture data format.
         @param {GLEnum} [options.internalFormat=RGBA] Texture data internal format.
         @param {boolean} [options.flipY=false] Whether the y-axis should be flipped when unpacking the texture. 
@@ -1140,7 +1883,10 @@ class App {
             width = image;
             image = null;    
         }
-        return new Texture(this.gl, this.state, this.gl.TEXTURE_2D_ARRAY, image, width, height, depth, true, options);
+        let texture = new Texture(this.gl, this.state, this.gl.TEXTURE_2D_ARRAY, image, width, height, depth, true, options);
+        trackResource(this.resources.textures, texture);
+
+        return texture;
     }
 
     /**
@@ -1155,7 +1901,7 @@ class App {
         @param {number} depth Texture depth.
         @param {Object} [options] Texture options.
         @param {GLEnum} [options.type] Type of data stored in the texture. Defaults to UNSIGNED_SHORT 
-            if format is DEPTH_COMPONENT, UNSIGNED_BYTE otherwise.
+            if format is DEPTH_COMPONENT, UNSIGNED_INT_24_8 if format is DEPTH_STENCIL, UNSIGNED_BYTE otherwise.
         @param {GLEnum} [options.format=RGBA] Texture data format.
         @param {GLEnum} [options.internalFormat=RGBA] Texture data internal format.
         @param {boolean} [options.flipY=false] Whether the y-axis should be flipped when unpacking the texture. 
@@ -1185,7 +1931,10 @@ class App {
             width = image;
             image = null;    
         }
-        return new Texture(this.gl, this.state, this.gl.TEXTURE_3D, image, width, height, depth, true, options);
+        let texture = new Texture(this.gl, this.state, this.gl.TEXTURE_3D, image, width, height, depth, true, options);
+        trackResource(this.resources.textures, texture);
+
+        return texture;
     }
 
     /**
@@ -1208,7 +1957,7 @@ class App {
         @param {number} [options.width] Cubemap side width. Defaults to the width of negX if negX is an image.
         @param {number} [options.height] Cubemap side height. Defaults to the height of negX if negX is an image.
         @param {GLEnum} [options.type] Type of data stored in the texture. Defaults to UNSIGNED_SHORT 
-            if format is DEPTH_COMPONENT, UNSIGNED_BYTE otherwise.
+            if format is DEPTH_COMPONENT, UNSIGNED_INT_24_8 if format is DEPTH_STENCIL, UNSIGNED_BYTE otherwise.
         @param {GLEnum} [options.format=RGBA] Texture data format.
         @param {GLEnum} [options.internalFormat=RGBA] Texture data internal format.
         @param {boolean} [options.flipY=false] Whether the y-axis should be flipped when unpacking the image. 
@@ -1230,7 +1979,10 @@ class App {
         @return {Cubemap} 新的立方体贴图纹理对象
     */
     createCubemap(options) {
-        return new Cubemap(this.gl, this.state, options);
+        let cubemap = new Cubemap(this.gl, this.state, options);
+        trackResource(this.resources.textures, cubemap);
+
+        return cubemap;
     }
 
     /**
@@ -1244,7 +1996,10 @@ class App {
         @return {Renderbuffer} 新的渲染缓冲对象。
     */
     createRenderbuffer(width, height, internalFormat, samples = 0) {
-        return new Renderbuffer(this.gl, width, height, internalFormat, samples);
+        let renderbuffer = new Renderbuffer(this.gl, width, height, internalFormat, samples);
+        trackResource(this.resources.renderbuffers, renderbuffer);
+
+        return renderbuffer;
     }
 
     /**
@@ -1254,7 +2009,10 @@ class App {
         @return {Framebuffer} 新的帧缓冲对象。
     */
     createFramebuffer() {
-        return new Framebuffer(this.gl, this.state);
+        let framebuffer = new Framebuffer(this.gl, this.state);
+        trackResource(this.resources.framebuffers, framebuffer);
+
+        return framebuffer;
     }
 
     /**
@@ -1265,7 +2023,23 @@ class App {
         @return {Query} 新的查询对象。
     */
     createQuery(target) {
-        return new Query(this.gl, target);
+        let query = new Query(this.gl, target);
+        trackResource(this.resources.queries, query);
+
+        return query;
+    }
+
+    /**
+        创建一个 fence 同步对象，插入到当前的命令流中。fence 只在创建时的命令流中有意义，
+        App 不会跟踪它，也不会在上下文恢复时重新创建它。
+
+        @method
+        @return {Fence} 新的 Fence 对象。
+    */
+    createFence() {
+        let fence = new Fence(this.gl);
+
+        return fence;
     }
 
     /**
@@ -1275,7 +2049,10 @@ class App {
         @return {Timer} 新的 Timer 对象。
     */
     createTimer() {
-        return new Timer(this.gl);
+        let timer = new Timer(this.gl);
+        trackResource(this.resources.timers, timer);
+
+        return timer;
     }
 
     /**
@@ -653,6 +653,10 @@ const CONSTANTS = {
     COMPRESSED_SRGB8_ALPHA8_ASTC_12x10_KHR: 0x93DC,
     COMPRESSED_SRGB8_ALPHA8_ASTC_12x12_KHR: 0x93DD,
 
+    // https://www.khronos.org/registry/webgl/extensions/KHR_parallel_shader_compile/
+    MAX_SHADER_COMPILER_THREADS_KHR: 0x91B0,
+    COMPLETION_STATUS_KHR: 0x91B1,
+
     TYPE_SIZE: {},
 
     WEBGL_INFO: {},
@@ -25,6 +25,7 @@
 
 const CONSTANTS = require("./constants");
 const TEXTURE_FORMAT_DEFAULTS = require("./texture-format-defaults");
+const untrackResource = require("./resources").untrackResource;
 
 /**
     用于环境映射的立方体贴图（Cubemap）。
@@ -38,12 +39,13 @@ const TEXTURE_FORMAT_DEFAULTS = require("./texture-format-defaults");
     @prop {Number} currentUnit 当前 Cubemap 绑定到的贴图单元。
     @prop {boolean} flipY 当前 Cubemap 的Y坐标是否翻转。
     @prop {boolean} premultiplyAlpha 加载 Cubemap 时是否需要预乘 alpha。
+    @prop {Object} retainedData 各个面的图像数据，用于在上下文丢失后恢复。
     @prop {Object} appState 跟踪的GL状态。
 */
 class Cubemap {
 
     constructor(gl, appState, options) {
-        let defaultType = options.format === CONSTANTS.DEPTH_COMPONENT ? CONSTANTS.UNSIGNED_SHORT : CONSTANTS.UNSIGNED_BYTE;
+        let defaultType = TEXTURE_FORMAT_DEFAULTS.DEFAULT_TYPES[options.format] || CONSTANTS.UNSIGNED_BYTE;
 
         this.gl = gl;
         this.texture = null;
@@ -89,6 +91,7 @@ class Cubemap {
         this.maxLevel = maxLevel;
         this.mipmaps = (minFilter === CONSTANTS.LINEAR_MIPMAP_NEAREST || minFilter === CONSTANTS.LINEAR_MIPMAP_LINEAR);
         this.levels = this.mipmaps ? Math.floor(Math.log2(Math.min(this.width, this.height))) + 1 : 1;
+        this.retainedData = null;
 
         this.restore(options);
     }
@@ -110,9 +113,10 @@ class Cubemap {
                 可以是能够被 texImage2D 接受的任何类型。
         @param {DOMElement|ArrayBufferView} [options.posZ] 正Z方向的图像数据。
                 可以是能够被 texImage2D 接受的任何类型。
+            默认使用保留的图像数据。
         @return {Cubemap} Cubemap 对象。
     */
-    restore(options = CONSTANTS.DUMMY_OBJECT) {
+    restore(options = this.retainedData || CONSTANTS.DUMMY_OBJECT) {
         this.texture = this.gl.createTexture();
 
         if (this.currentUnit !== -1) {
@@ -146,6 +150,7 @@ class Cubemap {
         let { negX, posX, negY, posY, negZ, posZ } = options;
 
         if (negX) {
+            this.retainedData = { negX, posX, negY, posY, negZ, posZ };
             this.gl.texSubImage2D(CONSTANTS.TEXTURE_CUBE_MAP_NEGATIVE_X, 0, 0, 0, this.width, this.height, this.format, this.type, negX);
             this.gl.texSubImage2D(CONSTANTS.TEXTURE_CUBE_MAP_POSITIVE_X, 0, 0, 0, this.width, this.height, this.format, this.type, posX);
             this.gl.texSubImage2D(CONSTANTS.TEXTURE_CUBE_MAP_NEGATIVE_Y, 0, 0, 0, this.width, this.height, this.format, this.type, negY);
@@ -168,6 +173,8 @@ class Cubemap {
         @return {Cubemap} Cubemap 对象。
     */
     delete() {
+        untrackResource(this);
+
         if (this.texture) {
             this.gl.deleteTexture(this.texture);
             this.texture = null;
@@ -24,6 +24,8 @@
 "use strict";
 
 const CONSTANTS = require("./constants");
+const UniformArena = require("./uniform-arena");
+const setRenderState = require("./render-state").setRenderState;
 
 /**
     DrawCall 代表一次 DrawCall 关联的 attributes、uniforms 和 textures 的程序和值。
@@ -34,6 +36,8 @@ const CONSTANTS = require("./constants");
     @prop {VertexArray} currentVertexArray 本次 DrawCall 使用的顶点数组。
     @prop {TransformFeedback} currentTransformFeedback 本次 DrawCall 使用的变换回传（Transform feedback）。
     @prop {Array} uniformBuffers 活跃 uniform buffers 的有序列表。
+    @prop {Array} uniformBufferOffsets 以 base 为索引的 UniformArena 片段偏移。
+    @prop {Array} uniformBufferSizes 以 base 为索引的绑定字节数（uniform 块数据大小或 UniformArena 片段大小）。
     @prop {Array} uniformBlockNames uniform 块名称的有序列表。
     @prop {Object} uniformBlockBases uniform 块到 uniform buffer bases 的映射。
     @prop {Number} uniformBlockCount 本次 DrawCall 使用的活跃 uniform 块数量。
@@ -47,6 +51,11 @@ const CONSTANTS = require("./constants");
     @prop {Object} appState 跟踪的GL状态。
     @prop {GLsizei} numElements 需要绘制的元素数量。
     @prop {GLsizei} numInstances 需要绘制的实例数量。
+    @prop {GLsizei} elementLimit elementCount() 设定的元素数量上限，0 代表全部。
+    @prop {GLsizei} instanceLimit instanceCount() 设定的实例数量上限，0 代表全部。
+    @prop {number} countVersion 上次同步数量时顶点数组的 countVersion。
+    @prop {Object} renderState 本次 DrawCall 使用的渲染状态块（混合、深度、剔除、蒙版等）。
+        绘制时只有与 App 跟踪状态不同的值才会被提交，且在绘制后保持生效。
 */
 class DrawCall {
 
@@ -62,6 +71,8 @@ class DrawCall {
         this.uniformValues = new Array(CONSTANTS.WEBGL_INFO.MAX_UNIFORMS);
         this.uniformCount = 0;
         this.uniformBuffers = new Array(CONSTANTS.WEBGL_INFO.MAX_UNIFORM_BUFFERS);
+        this.uniformBufferOffsets = new Array(CONSTANTS.WEBGL_INFO.MAX_UNIFORM_BUFFERS);
+        this.uniformBufferSizes = new Array(CONSTANTS.WEBGL_INFO.MAX_UNIFORM_BUFFERS);
         this.uniformBlockNames = new Array(CONSTANTS.WEBGL_INFO.MAX_UNIFORM_BUFFERS);
         this.uniformBlockBases = {};
         this.uniformBlockCount = 0;
@@ -72,6 +83,11 @@ class DrawCall {
 
         this.numElements = this.currentVertexArray.numElements;
         this.numInstances = this.currentVertexArray.numInstances;
+        this.elementLimit = 0;
+        this.instanceLimit = 0;
+        this.countVersion = this.currentVertexArray.countVersion;
+
+        this.renderState = {};
     }
 
     /**
@@ -124,20 +140,81 @@ class DrawCall {
     }
 
     /**
-        设定绑定到 uniform 块的 uniform buffer。
+        设定绑定到 uniform 块的 uniform buffer。传入 UniformArena 时，可以指定由
+        arena.write() 或 arena.allocate() 返回的偏移，使用 bindBufferRange 绑定该片段。
 
         @method
         @param {string} name uniform 块名称。
-        @param {UniformBuffer} buffer 要绑定的 uniform buffer。
+        @param {UniformBuffer|UniformArena} buffer 要绑定的 uniform buffer。
+        @param {number} [offset] UniformArena 中片段的字节偏移。片段至少需要 uniform 块的 dataSize 字节。
         @return {DrawCall} DrawCall对象。
     */
-    uniformBlock(name, buffer) {
+    uniformBlock(name, buffer, offset) {
         let base = this.currentProgram.uniformBlocks[name];
+        let reflection = this.currentProgram.reflection;
+        let block = reflection ? reflection.uniformBlocks[name] : undefined;
+
+        if (base === undefined || !block) {
+            console.error(`Unknown uniform block "${name}".`);
+            return this;
+        }
+
+        let size = block.dataSize;
+
+        // UniformArena 绑定分配的片段，片段必须能容纳整个 uniform 块
+        if (buffer instanceof UniformArena) {
+            let sliceSize = buffer.sliceSize(offset);
+
+            if (sliceSize === undefined || sliceSize < size) {
+                console.error(`Uniform arena slice at offset ${offset} is smaller than uniform block "${name}" (${size} bytes). Allocate at least the block's dataSize.`);
+                return this;
+            }
+
+            size = sliceSize;
+        }
+
         this.uniformBuffers[base] = buffer;
+        this.uniformBufferOffsets[base] = offset;
+        this.uniformBufferSizes[base] = size;
 
         return this;
     }
 
+    /**
+        计算一次绘制（每个实例）产生的图元数量。对于索引绘制，如果索引缓冲保留了数据，
+        会按重启索引把索引分段，分别计算每段的图元数量。
+
+        @method
+        @return {number} 图元数量。
+    */
+    primitiveCount() {
+        this.syncCounts();
+
+        let vertexArray = this.currentVertexArray;
+        let indexBuffer = vertexArray.indexVertexBuffer;
+        let count = this.numElements;
+
+        if (vertexArray.indexed && indexBuffer && indexBuffer.retainedData) {
+            let indices = indexBuffer.retainedData;
+            let restartIndex = indexBuffer.restartIndex;
+            let primitives = 0;
+            let segmentLength = 0;
+
+            for (let i = 0; i < count; ++i) {
+                if (indices[i] === restartIndex) {
+                    primitives += primitivesForCount(this.primitive, segmentLength);
+                    segmentLength = 0;
+                } else {
+                    ++segmentLength;
+                }
+            }
+
+            return primitives + primitivesForCount(this.primitive, segmentLength);
+        }
+
+        return primitivesForCount(this.primitive, count);
+    }
+
     /**
         设定 numElements 属性限制将会被绘制的元素数量。
 
@@ -146,6 +223,8 @@ class DrawCall {
         @return {DrawCall} DrawCall 对象。
     */
     elementCount(count = 0) {
+        this.elementLimit = count;
+
         if (count > 0) {
             this.numElements = Math.min(count, this.currentVertexArray.numElements);
         } else {
@@ -155,6 +234,26 @@ class DrawCall {
         return this;
     }
 
+    /**
+        顶点数组中的缓冲调整大小后，按 elementCount() 和 instanceCount() 设定的上限重新计算
+        元素和实例数量。
+
+        @method
+        @ignore
+        @return {DrawCall} DrawCall 对象。
+    */
+    syncCounts() {
+        let vertexArray = this.currentVertexArray;
+
+        if (this.countVersion !== vertexArray.countVersion) {
+            this.countVersion = vertexArray.countVersion;
+            this.elementCount(this.elementLimit);
+            this.instanceCount(this.instanceLimit);
+        }
+
+        return this;
+    }
+
     /**
         设定 numInstances 属性限制将会被绘制的实例数量。
 
@@ -163,6 +262,8 @@ class DrawCall {
         @return {DrawCall} DrawCall 对象。
     */
     instanceCount(count = 0) {
+        this.instanceLimit = count;
+
         if (count > 0) {
             this.numInstances = Math.min(count, this.currentVertexArray.numInstances);
         } else {
@@ -172,6 +273,233 @@ class DrawCall {
         return this;
     }
 
+    /**
+        为本次 DrawCall 设定混合模式。与 App.blendFunc() 一样不会开启混合，需要同时调用 blend()。
+
+        @method
+        @param {GLEnum} src 混合源权重。
+        @param {GLEnum} dest 混合目标权重。
+        @return {DrawCall} DrawCall 对象。
+    */
+    blendFunc(src, dest) {
+        this.blendFuncSeparate(src, dest, src, dest);
+
+        return this;
+    }
+
+    /**
+        为本次 DrawCall 的颜色和 alpha 通道分别设定混合权重。与 App.blendFuncSeparate() 一样
+        不会开启混合，需要同时调用 blend()。
+
+        @method
+        @param {GLEnum} csrc 混合源 RGB 通道权重。
+        @param {GLEnum} cdest 混合目标 RGB 通道权重。
+        @param {GLEnum} asrc 混合源 alpha 通道权重。
+        @param {GLEnum} adest 混合目标 alpha 通道权重。
+        @return {DrawCall} DrawCall 对象。
+    */
+    blendFuncSeparate(csrc, cdest, asrc, adest) {
+        let state = this.renderState;
+
+        state.blendSrcRGB = csrc;
+        state.blendDestRGB = cdest;
+        state.blendSrcAlpha = asrc;
+        state.blendDestAlpha = adest;
+
+        return this;
+    }
+
+    /**
+        为本次 DrawCall 开启混合。
+
+        @method
+        @return {DrawCall} DrawCall 对象。
+    */
+    blend() {
+        this.renderState.blend = true;
+
+        return this;
+    }
+
+    /**
+        为本次 DrawCall 关闭混合。
+
+        @method
+        @return {DrawCall} DrawCall 对象。
+    */
+    noBlend() {
+        this.renderState.blend = false;
+
+        return this;
+    }
+
+    /**
+        为本次 DrawCall 开启深度测试。
+
+        @method
+        @return {DrawCall} DrawCall 对象。
+    */
+    depthTest() {
+        this.renderState.depthTest = true;
+
+        return this;
+    }
+
+    /**
+        为本次 DrawCall 关闭深度测试。
+
+        @method
+        @return {DrawCall} DrawCall 对象。
+    */
+    noDepthTest() {
+        this.renderState.depthTest = false;
+
+        return this;
+    }
+
+    /**
+        为本次 DrawCall 设定深度测试方法。与 App.depthFunc() 一样不会开启深度测试，
+        需要同时调用 depthTest()。
+
+        @method
+        @param {GLEnum} func 使用的深度测试方法。
+        @return {DrawCall} DrawCall 对象。
+    */
+    depthFunc(func) {
+        this.renderState.depthFunc = func;
+
+        return this;
+    }
+
+    /**
+        为本次 DrawCall 开启或关闭写入深度缓冲。
+
+        @method
+        @param {boolean} mask 深度 mask。
+        @return {DrawCall} DrawCall 对象。
+    */
+    depthMask(mask) {
+        this.renderState.depthMask = mask;
+
+        return this;
+    }
+
+    /**
+        为本次 DrawCall 开启面剔除。
+
+        @method
+        @param {GLEnum} [mode=BACK] 要剔除的朝向（FRONT、BACK 或 FRONT_AND_BACK）。
+        @return {DrawCall} DrawCall 对象。
+    */
+    cullFace(mode = CONSTANTS.BACK) {
+        this.renderState.cullFace = true;
+        this.renderState.cullFaceMode = mode;
+
+        return this;
+    }
+
+    /**
+        为本次 DrawCall 关闭面剔除。
+
+        @method
+        @return {DrawCall} DrawCall 对象。
+    */
+    drawBackfaces() {
+        this.renderState.cullFace = false;
+
+        return this;
+    }
+
+    /**
+        为本次 DrawCall 设定颜色写掩码。
+
+        @method
+        @param {boolean} r 红色通道。
+        @param {boolean} g 绿色通道。
+        @param {boolean} b 蓝色通道。
+        @param {boolean} a Alpha通道。
+        @return {DrawCall} DrawCall 对象。
+    */
+    colorMask(r, g, b, a) {
+        let state = this.renderState;
+
+        state.colorMaskRed = r;
+        state.colorMaskGreen = g;
+        state.colorMaskBlue = b;
+        state.colorMaskAlpha = a;
+
+        return this;
+    }
+
+    /**
+        为本次 DrawCall 开启蒙版测试。
+
+        @method
+        @return {DrawCall} DrawCall 对象。
+    */
+    stencilTest() {
+        this.renderState.stencilTest = true;
+
+        return this;
+    }
+
+    /**
+        为本次 DrawCall 关闭蒙版测试。
+
+        @method
+        @return {DrawCall} DrawCall 对象。
+    */
+    noStencilTest() {
+        this.renderState.stencilTest = false;
+
+        return this;
+    }
+
+    /**
+        为本次 DrawCall 设定蒙版测试方法和引用值。与 App.stencilFunc() 一样不会开启蒙版测试，
+        需要同时调用 stencilTest()。
+
+        @method
+        @param {GLEnum} func 测试方法。
+        @param {number} ref 引用的值。
+        @param {number} mask 测试前与引用值和蒙版值进行按位与的掩码。
+        @return {DrawCall} DrawCall 对象。
+    */
+    stencilFunc(func, ref, mask) {
+        let state = this.renderState;
+
+        state.stencilFrontFunc = func;
+        state.stencilFrontRef = ref;
+        state.stencilFrontValueMask = mask;
+        state.stencilBackFunc = func;
+        state.stencilBackRef = ref;
+        state.stencilBackValueMask = mask;
+
+        return this;
+    }
+
+    /**
+        为本次 DrawCall 设定蒙版缓冲值的更新操作。
+
+        @method
+        @param {GLEnum} stencilFail 蒙版测试失败时的操作。
+        @param {GLEnum} depthFail 深度测试失败时的操作。
+        @param {GLEnum} pass 蒙版和深度测试都通过时的操作。
+        @return {DrawCall} DrawCall 对象。
+    */
+    stencilOp(stencilFail, depthFail, pass) {
+        let state = this.renderState;
+
+        state.stencilFrontFail = stencilFail;
+        state.stencilFrontDepthFail = depthFail;
+        state.stencilFrontPass = pass;
+        state.stencilBackFail = stencilFail;
+        state.stencilBackDepthFail = depthFail;
+        state.stencilBackPass = pass;
+
+        return this;
+    }
+
     /**
         根据当前状态进行绘制。
 
@@ -179,6 +507,126 @@ class DrawCall {
         @return {DrawCall} DrawCall 对象。
     */
     draw() {
+        this.syncCounts();
+        this.drawRange(0, this.numElements);
+
+        return this;
+    }
+
+    /**
+        绘制从 first 开始的 count 个元素。用于绘制打包在同一个顶点缓冲或索引缓冲中的
+        多个网格。对于索引绘制，first 为索引缓冲中的索引位置，会被换算为字节偏移量。
+        如果同时提供了 minVertex 和 maxVertex，非实例化的索引绘制会使用 drawRangeElements。
+
+        @method
+        @param {GLsizei} first 第一个要绘制的元素（顶点或索引）。
+        @param {GLsizei} count 要绘制的元素数量。
+        @param {number} [minVertex] 这次绘制引用的最小顶点索引。
+        @param {number} [maxVertex] 这次绘制引用的最大顶点索引。
+        @return {DrawCall} DrawCall 对象。
+    */
+    drawRange(first, count, minVertex, maxVertex) {
+        let vertexArray = this.currentVertexArray;
+
+        this.prepareDraw();
+
+        if (vertexArray.instanced) {
+            if (vertexArray.indexed) {
+                this.gl.drawElementsInstanced(this.primitive, count, vertexArray.indexType, first * CONSTANTS.TYPE_SIZE[vertexArray.indexType], this.numInstances);
+            } else {
+                this.gl.drawArraysInstanced(this.primitive, first, count, this.numInstances);
+            }
+        } else if (vertexArray.indexed) {
+            if (minVertex !== undefined && maxVertex !== undefined) {
+                this.gl.drawRangeElements(this.primitive, minVertex, maxVertex, count, vertexArray.indexType, first * CONSTANTS.TYPE_SIZE[vertexArray.indexType]);
+            } else {
+                this.gl.drawElements(this.primitive, count, vertexArray.indexType, first * CONSTANTS.TYPE_SIZE[vertexArray.indexType]);
+            }
+        } else {
+            this.gl.drawArrays(this.primitive, first, count);
+        }
+
+        this.finishDraw();
+
+        return this;
+    }
+
+    /**
+        在一次调用中绘制多个范围。如果 WEBGL_multi_draw 扩展已通过 app.multiDraw() 启用，
+        则使用批量绘制，否则逐个范围进行绘制。
+
+        @method
+        @param {Array|Int32Array} firsts 每个范围的第一个元素（顶点或索引）。
+        @param {Array|Int32Array} counts 每个范围要绘制的元素数量。
+        @param {Array|Int32Array} [instanceCounts] 每个范围要绘制的实例数量。仅用于实例绘制，
+            默认为 numInstances。
+        @return {DrawCall} DrawCall 对象。
+    */
+    drawMulti(firsts, counts, instanceCounts) {
+        this.syncCounts();
+
+        let vertexArray = this.currentVertexArray;
+        let ext = this.appState.multiDrawExt;
+        let drawCount = counts.length;
+        let i;
+
+        if (vertexArray.instanced && !instanceCounts) {
+            instanceCounts = new Int32Array(drawCount);
+            instanceCounts.fill(this.numInstances);
+        }
+
+        this.prepareDraw();
+
+        if (ext) {
+            if (vertexArray.indexed) {
+                let typeSize = CONSTANTS.TYPE_SIZE[vertexArray.indexType];
+                let offsets = new Int32Array(drawCount);
+                for (i = 0; i < drawCount; ++i) {
+                    offsets[i] = firsts[i] * typeSize;
+                }
+
+                if (vertexArray.instanced) {
+                    ext.multiDrawElementsInstancedWEBGL(this.primitive, counts, 0, vertexArray.indexType, offsets, 0, instanceCounts, 0, drawCount);
+                } else {
+                    ext.multiDrawElementsWEBGL(this.primitive, counts, 0, vertexArray.indexType, offsets, 0, drawCount);
+                }
+            } else if (vertexArray.instanced) {
+                ext.multiDrawArraysInstancedWEBGL(this.primitive, firsts, 0, counts, 0, instanceCounts, 0, drawCount);
+            } else {
+                ext.multiDrawArraysWEBGL(this.primitive, firsts, 0, counts, 0, drawCount);
+            }
+        } else {
+            // 扩展不可用时逐个范围绘制
+            for (i = 0; i < drawCount; ++i) {
+                if (vertexArray.instanced) {
+                    if (vertexArray.indexed) {
+                        this.gl.drawElementsInstanced(this.primitive, counts[i], vertexArray.indexType, firsts[i] * CONSTANTS.TYPE_SIZE[vertexArray.indexType], instanceCounts[i]);
+                    } else {
+                        this.gl.drawArraysInstanced(this.primitive, firsts[i], counts[i], instanceCounts[i]);
+                    }
+                } else if (vertexArray.indexed) {
+                    this.gl.drawElements(this.primitive, counts[i], vertexArray.indexType, firsts[i] * CONSTANTS.TYPE_SIZE[vertexArray.indexType]);
+                } else {
+                    this.gl.drawArrays(this.primitive, firsts[i], counts[i]);
+                }
+            }
+        }
+
+        this.finishDraw();
+
+        return this;
+    }
+
+    /**
+        绑定程序、顶点数组、uniforms、uniform 块和贴图，并提交渲染状态。
+
+        @method
+        @ignore
+        @return {DrawCall} DrawCall 对象。
+    */
+    prepareDraw() {
+        this.syncCounts();
+
         let uniformNames = this.uniformNames;
         let uniformValues = this.uniformValues;
         let uniformBuffers = this.uniformBuffers;
@@ -186,15 +634,19 @@ class DrawCall {
         let textures = this.textures;
         let textureCount = this.currentProgram.samplerCount;
 
+        setRenderState(this.gl, this.appState, this.renderState);
+
         this.currentProgram.bind();
         this.currentVertexArray.bind();
+        this.currentVertexArray.applyConstantAttributes();
 
         for (let uIndex = 0; uIndex < this.uniformCount; ++uIndex) {
             this.currentProgram.uniform(uniformNames[uIndex], uniformValues[uIndex]);
         }
 
         for (let base = 0; base < uniformBlockCount; ++base) {
-            uniformBuffers[base].bind(base);
+            uniformBuffers[base].flush();
+            uniformBuffers[base].bind(base, this.uniformBufferOffsets[base], this.uniformBufferSizes[base]);
         }
 
         for (let tIndex = 0; tIndex < textureCount; ++tIndex) {
@@ -206,18 +658,17 @@ class DrawCall {
             this.gl.beginTransformFeedback(this.primitive);
         }
 
-        if (this.currentVertexArray.instanced) {
-            if (this.currentVertexArray.indexed) {
-                this.gl.drawElementsInstanced(this.primitive, this.numElements, this.currentVertexArray.indexType, 0, this.numInstances);
-            } else {
-                this.gl.drawArraysInstanced(this.primitive, 0, this.numElements, this.numInstances);
-            }
-        } else if (this.currentVertexArray.indexed) {
-            this.gl.drawElements(this.primitive, this.numElements, this.currentVertexArray.indexType, 0);
-        } else {
-            this.gl.drawArrays(this.primitive, 0, this.numElements);
-        }
+        return this;
+    }
+
+    /**
+        绘制后结束变换回传。
 
+        @method
+        @ignore
+        @return {DrawCall} DrawCall 对象。
+    */
+    finishDraw() {
         if (this.currentTransformFeedback) {
             this.gl.endTransformFeedback();
             // TODO(Tarek): 由于FF中使用的旧版本 ANGLE 存在 bug ，这里需要重新绑定 buffers 。
@@ -232,4 +683,25 @@ class DrawCall {
 
 }
 
+// 计算 count 个顶点（或索引）组成的某种图元的数量
+function primitivesForCount(primitive, count) {
+    switch (primitive) {
+        case CONSTANTS.POINTS:
+            return count;
+        case CONSTANTS.LINES:
+            return Math.floor(count / 2);
+        case CONSTANTS.LINE_STRIP:
+            return Math.max(count - 1, 0);
+        case CONSTANTS.LINE_LOOP:
+            return count > 1 ? count : 0;
+        case CONSTANTS.TRIANGLES:
+            return Math.floor(count / 3);
+        case CONSTANTS.TRIANGLE_STRIP:
+        case CONSTANTS.TRIANGLE_FAN:
+            return Math.max(count - 2, 0);
+        default:
+            return 0;
+    }
+}
+
 module.exports = DrawCall;
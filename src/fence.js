@@ -0,0 +1,149 @@
+///////////////////////////////////////////////////////////////////////////////////
+// The MIT License (MIT)
+//
+// Copyright (c) 2017 Tarek Sherif
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy of
+// this software and associated documentation files (the "Software"), to deal in
+// the Software without restriction, including without limitation the rights to
+// use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of
+// the Software, and to permit persons to whom the Software is furnished to do so,
+// subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in all
+// copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS
+// FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR
+// COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER
+// IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN
+// CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+///////////////////////////////////////////////////////////////////////////////////
+
+"use strict";
+
+const CONSTANTS = require("./constants");
+
+/**
+    同步对象（Fence）。创建时在命令流中插入一个 fence，GPU 执行完此前提交的所有命令后
+    fence 被触发。可以用来限制 CPU 提交帧的速度，或者判断流式更新的缓冲何时可以安全地覆盖。
+
+    @class
+    @prop {WebGLRenderingContext} gl WebGL 上下文。
+    @prop {WebGLSync} sync 同步对象。
+    @prop {boolean} signaled fence 是否已被触发。
+*/
+class Fence {
+
+    constructor(gl) {
+        this.gl = gl;
+        this.sync = null;
+        this.signaled = false;
+
+        this.restore();
+    }
+
+    /**
+        在上下文丢失后恢复 fence。新的 fence 会被插入到当前的命令流中。
+
+        @method
+        @return {Fence} Fence 对象。
+    */
+    restore() {
+        this.sync = this.gl.fenceSync(CONSTANTS.SYNC_GPU_COMMANDS_COMPLETE, 0);
+        this.signaled = false;
+
+        return this;
+    }
+
+    /**
+        在当前的命令流中重新插入 fence，以便重用这个对象。
+
+        @method
+        @return {Fence} Fence 对象。
+    */
+    insert() {
+        if (this.sync) {
+            this.gl.deleteSync(this.sync);
+        }
+
+        return this.restore();
+    }
+
+    /**
+        无阻塞地检查 fence 是否已被触发。
+
+        @method
+        @return {boolean} fence 是否已被触发。
+    */
+    ready() {
+        if (!this.signaled && this.sync) {
+            this.signaled = this.gl.getSyncParameter(this.sync, CONSTANTS.SYNC_STATUS) === CONSTANTS.SIGNALED;
+        }
+
+        return this.signaled;
+    }
+
+    /**
+        阻塞等待 fence 被触发。注意：WebGL 限制超时时间不能超过
+        MAX_CLIENT_WAIT_TIMEOUT_WEBGL（通常为 0）。
+
+        @method
+        @param {number} [timeout=0] 超时时间（纳秒）。
+        @return {boolean} fence 是否已被触发。
+    */
+    wait(timeout = 0) {
+        if (!this.signaled && this.sync) {
+            let status = this.gl.clientWaitSync(this.sync, CONSTANTS.SYNC_FLUSH_COMMANDS_BIT, timeout);
+            this.signaled = status === CONSTANTS.ALREADY_SIGNALED || status === CONSTANTS.CONDITION_SATISFIED;
+        }
+
+        return this.signaled;
+    }
+
+    /**
+        在每一帧中无阻塞地查询 fence 的状态。
+
+        @method
+        @return {Promise} fence 被触发后以 Fence 对象解决。fence 在触发前被删除或上下文丢失时被拒绝。
+    */
+    whenSignaled() {
+        // 确保 fence 命令被提交，否则 fence 可能永远不会被触发
+        this.gl.flush();
+
+        return new Promise((resolve, reject) => {
+            let poll = () => {
+                if (this.ready()) {
+                    resolve(this);
+                } else if (!this.sync) {
+                    reject(new Error("Fence was deleted before it was signaled."));
+                } else if (this.gl.isContextLost()) {
+                    reject(new Error("Context was lost before the fence was signaled."));
+                } else {
+                    requestAnimationFrame(poll);
+                }
+            };
+
+            poll();
+        });
+    }
+
+    /**
+        删除这个 fence。
+
+        @method
+        @return {Fence} Fence 对象。
+    */
+    delete() {
+        if (this.sync) {
+            this.gl.deleteSync(this.sync);
+            this.sync = null;
+        }
+
+        return this;
+    }
+
+}
+
+module.exports = Fence;
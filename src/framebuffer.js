@@ -26,6 +26,41 @@
 const CONSTANTS = require("./constants");
 const Texture = require("./texture");
 const Renderbuffer = require("./renderbuffer");
+const TEXTURE_FORMAT_DEFAULTS = require("./texture-format-defaults");
+const readFormat = require("./pixel-data").readFormat;
+const untrackResource = require("./resources").untrackResource;
+
+const STATUS_NAMES = {
+    [CONSTANTS.FRAMEBUFFER_COMPLETE]: "FRAMEBUFFER_COMPLETE",
+    [CONSTANTS.FRAMEBUFFER_INCOMPLETE_ATTACHMENT]: "FRAMEBUFFER_INCOMPLETE_ATTACHMENT",
+    [CONSTANTS.FRAMEBUFFER_INCOMPLETE_MISSING_ATTACHMENT]: "FRAMEBUFFER_INCOMPLETE_MISSING_ATTACHMENT",
+    [CONSTANTS.FRAMEBUFFER_INCOMPLETE_DIMENSIONS]: "FRAMEBUFFER_INCOMPLETE_DIMENSIONS",
+    [CONSTANTS.FRAMEBUFFER_UNSUPPORTED]: "FRAMEBUFFER_UNSUPPORTED",
+    [CONSTANTS.FRAMEBUFFER_INCOMPLETE_MULTISAMPLE]: "FRAMEBUFFER_INCOMPLETE_MULTISAMPLE"
+};
+
+// 需要 EXT_color_buffer_float（app.floatRenderTargets()）才能渲染的浮点格式
+const FLOAT_RENDERABLE_FORMATS = [
+    CONSTANTS.R16F, CONSTANTS.RG16F, CONSTANTS.RGBA16F,
+    CONSTANTS.R32F, CONSTANTS.RG32F, CONSTANTS.RGBA32F,
+    CONSTANTS.R11F_G11F_B10F
+];
+
+// 不能作为颜色附件的格式（压缩格式另行判断）
+const NON_COLOR_RENDERABLE_FORMATS = [
+    CONSTANTS.RGB16F, CONSTANTS.RGB32F, CONSTANTS.RGB9_E5, CONSTANTS.SRGB8,
+    CONSTANTS.R8_SNORM, CONSTANTS.RG8_SNORM, CONSTANTS.RGB8_SNORM, CONSTANTS.RGBA8_SNORM,
+    CONSTANTS.RGB8I, CONSTANTS.RGB8UI, CONSTANTS.RGB16I, CONSTANTS.RGB16UI, CONSTANTS.RGB32I, CONSTANTS.RGB32UI,
+    CONSTANTS.DEPTH_COMPONENT16, CONSTANTS.DEPTH_COMPONENT24, CONSTANTS.DEPTH_COMPONENT32F,
+    CONSTANTS.DEPTH24_STENCIL8, CONSTANTS.DEPTH32F_STENCIL8, CONSTANTS.STENCIL_INDEX8
+];
+
+const DEPTH_FORMATS = [
+    CONSTANTS.DEPTH_COMPONENT16, CONSTANTS.DEPTH_COMPONENT24, CONSTANTS.DEPTH_COMPONENT32F,
+    CONSTANTS.DEPTH24_STENCIL8, CONSTANTS.DEPTH32F_STENCIL8
+];
+
+const STENCIL_FORMATS = [ CONSTANTS.STENCIL_INDEX8, CONSTANTS.DEPTH24_STENCIL8, CONSTANTS.DEPTH32F_STENCIL8 ];
 
 /**
     离屏绘图平面。
@@ -36,7 +71,14 @@ const Renderbuffer = require("./renderbuffer");
     @prop {number} width 帧缓冲宽度。
     @prop {number} height 帧缓冲高度。
     @prop {Array} colorAttachments 颜色附件数组。
+    @prop {Array} colorAttachmentLevels 颜色附件的 mipmap 级别。
     @prop {Texture|Renderbuffer} depthAttachment 深度附件。
+    @prop {number} depthAttachmentLevel 深度附件的 mipmap 级别。
+    @prop {GLEnum} depthAttachmentEnum 深度附件的附加点（DEPTH_ATTACHMENT 或 DEPTH_STENCIL_ATTACHMENT）。
+    @prop {Texture|Renderbuffer} stencilAttachment 模板附件。深度模板附件同时也是深度附件。
+    @prop {number} stencilAttachmentLevel 模板附件的 mipmap 级别。
+    @prop {Array} transientAttachments 声明为临时的附加点，内容在帧之间不需要保留，可以自动失效。
+    @prop {number} readAttachment 读取像素时使用的颜色附件索引（readBuffer）。
     @prop {Object} appState 跟踪的GL状态。
 */
 class Framebuffer {
@@ -51,8 +93,16 @@ class Framebuffer {
         this.colorAttachments = [];
         this.colorAttachmentEnums = [];
         this.colorAttachmentTargets = [];
+        this.colorAttachmentLevels = [];
         this.depthAttachment = null;
         this.depthAttachmentTarget = null;
+        this.depthAttachmentLevel = 0;
+        this.depthAttachmentEnum = CONSTANTS.DEPTH_ATTACHMENT;
+        this.stencilAttachment = null;
+        this.stencilAttachmentTarget = null;
+        this.stencilAttachmentLevel = 0;
+        this.transientAttachments = [];
+        this.readAttachment = 0;
 
         this.width = 0;
         this.height = 0;
@@ -76,6 +126,26 @@ class Framebuffer {
         }
 
         this.framebuffer = this.gl.createFramebuffer();
+        this.readAttachment = 0;
+
+        // 重新附加已记录的附件
+        for (let i = 0; i < this.numColorTargets; ++i) {
+            if (this.colorAttachments[i]) {
+                this.colorTarget(i, this.colorAttachments[i], this.colorAttachmentTargets[i], this.colorAttachmentLevels[i]);
+            }
+        }
+
+        if (this.depthAttachmentEnum === CONSTANTS.DEPTH_STENCIL_ATTACHMENT) {
+            this.depthStencilTarget(this.depthAttachment, this.depthAttachmentTarget, this.depthAttachmentLevel);
+        } else {
+            if (this.depthAttachment) {
+                this.depthTarget(this.depthAttachment, this.depthAttachmentTarget, this.depthAttachmentLevel);
+            }
+
+            if (this.stencilAttachment) {
+                this.stencilTarget(this.stencilAttachment, this.stencilAttachmentTarget, this.stencilAttachmentLevel);
+            }
+        }
 
         return this;
     }
@@ -88,20 +158,24 @@ class Framebuffer {
         @param {Texture|Cubemap|Renderbuffer} attachment 要附加的纹理、立方体纹理或渲染缓冲。
         @param {GLEnum} [target] 要附加的纹理目标或层级。如果是3D纹理或纹理数组，默认为0，
             否则为 TEXTURE_2D。渲染缓冲忽略该参数。
+        @param {number} [level=0] 要附加的 mipmap 级别。渲染缓冲忽略该参数。
         @return {Framebuffer} Framebuffer 对象。
+        @throws {Error} 严格模式下附加后帧缓冲不完整时抛出。
     */
-    colorTarget(index, attachment, target = attachment.is3D ? 0 : CONSTANTS.TEXTURE_2D) {
+    colorTarget(index, attachment, target = attachment.is3D ? 0 : CONSTANTS.TEXTURE_2D, level = 0) {
 
         if (index >= this.numColorTargets) {
             let numColorTargets = index + 1;
             this.colorAttachmentEnums.length = numColorTargets;
             this.colorAttachments.length = numColorTargets;
             this.colorAttachmentTargets.length = numColorTargets;
+            this.colorAttachmentLevels.length = numColorTargets;
 
             for (let i = this.numColorTargets; i < numColorTargets - 1; ++i) {
                 this.colorAttachmentEnums[i] = CONSTANTS.NONE;
                 this.colorAttachments[i] = null;
                 this.colorAttachmentTargets[i] = 0;
+                this.colorAttachmentLevels[i] = 0;
             }
 
             this.numColorTargets = numColorTargets;
@@ -110,24 +184,18 @@ class Framebuffer {
         this.colorAttachmentEnums[index] = CONSTANTS.COLOR_ATTACHMENT0 + index;
         this.colorAttachments[index] = attachment;
         this.colorAttachmentTargets[index] = target;
+        this.colorAttachmentLevels[index] = level;
 
         let currentFramebuffer = this.bindAndCaptureState();
 
-
-        if (attachment instanceof Renderbuffer) {
-            this.gl.framebufferRenderbuffer(CONSTANTS.DRAW_FRAMEBUFFER, this.colorAttachmentEnums[index], CONSTANTS.RENDERBUFFER, attachment.renderbuffer);
-        } else if (attachment.is3D) {
-            this.gl.framebufferTextureLayer(CONSTANTS.DRAW_FRAMEBUFFER, this.colorAttachmentEnums[index], attachment.texture, 0, target);
-        } else {
-            this.gl.framebufferTexture2D(CONSTANTS.DRAW_FRAMEBUFFER, this.colorAttachmentEnums[index], target, attachment.texture, 0);
-        }
+        this.attach(this.colorAttachmentEnums[index], attachment, target, level);
 
         this.gl.drawBuffers(this.colorAttachmentEnums);
 
-        this.width = attachment.width;
-        this.height = attachment.height;
+        this.setSize(attachment.width, attachment.height, level);
 
         this.restoreState(currentFramebuffer);
+        this.strictValidate();
 
         return this;
     }
@@ -139,27 +207,166 @@ class Framebuffer {
         @param {Texture|Cubemap|Renderbuffer} texture 要附加的纹理、立方体纹理或渲染缓冲。
         @param {GLEnum} [target] 要附加的纹理目标或层级。如果是3D纹理或纹理数组，默认为0，
             否则为 TEXTURE_2D。渲染缓冲忽略该参数。
+        @param {number} [level=0] 要附加的 mipmap 级别。渲染缓冲忽略该参数。
         @return {Framebuffer} Framebuffer 对象。
+        @throws {Error} 严格模式下附加后帧缓冲不完整时抛出。
     */
-    depthTarget(attachment, target = attachment.is3D ? 0 : CONSTANTS.TEXTURE_2D) {
+    depthTarget(attachment, target = attachment.is3D ? 0 : CONSTANTS.TEXTURE_2D, level = 0) {
 
         let currentFramebuffer = this.bindAndCaptureState();
 
+        if (this.depthAttachmentEnum === CONSTANTS.DEPTH_STENCIL_ATTACHMENT) {
+            // 替换深度模板附件的深度部分，模板部分保持附加
+            this.depthAttachmentEnum = CONSTANTS.DEPTH_ATTACHMENT;
+        }
+
         this.depthAttachment = attachment;
         this.depthAttachmentTarget = target;
+        this.depthAttachmentLevel = level;
 
-        if (attachment instanceof Renderbuffer) {
-            this.gl.framebufferRenderbuffer(CONSTANTS.DRAW_FRAMEBUFFER, CONSTANTS.DEPTH_ATTACHMENT, CONSTANTS.RENDERBUFFER, attachment.renderbuffer);
-        } else if (attachment.is3D) {
-            this.gl.framebufferTextureLayer(CONSTANTS.DRAW_FRAMEBUFFER, CONSTANTS.DEPTH_ATTACHMENT, attachment.texture, 0, target);
-        } else {
-            this.gl.framebufferTexture2D(CONSTANTS.DRAW_FRAMEBUFFER, CONSTANTS.DEPTH_ATTACHMENT, target, attachment.texture, 0);
+        this.attach(CONSTANTS.DEPTH_ATTACHMENT, attachment, target, level);
+
+        this.setSize(attachment.width, attachment.height, level);
+
+        this.restoreState(currentFramebuffer);
+        this.strictValidate();
+
+        return this;
+    }
+
+    /**
+        为这个帧缓冲附加一个模板目标。WebGL 2 中纯模板附件通常是 STENCIL_INDEX8 格式的渲染缓冲。
+
+        @method
+        @param {Texture|Cubemap|Renderbuffer} attachment 要附加的纹理、立方体纹理或渲染缓冲。
+        @param {GLEnum} [target] 要附加的纹理目标或层级。如果是3D纹理或纹理数组，默认为0，
+            否则为 TEXTURE_2D。渲染缓冲忽略该参数。
+        @param {number} [level=0] 要附加的 mipmap 级别。渲染缓冲忽略该参数。
+        @return {Framebuffer} Framebuffer 对象。
+        @throws {Error} 严格模式下附加后帧缓冲不完整时抛出。
+    */
+    stencilTarget(attachment, target = attachment.is3D ? 0 : CONSTANTS.TEXTURE_2D, level = 0) {
+
+        let currentFramebuffer = this.bindAndCaptureState();
+
+        if (this.depthAttachmentEnum === CONSTANTS.DEPTH_STENCIL_ATTACHMENT) {
+            // 替换深度模板附件的模板部分，深度部分保持附加
+            this.depthAttachmentEnum = CONSTANTS.DEPTH_ATTACHMENT;
         }
 
-        this.width = attachment.width;
-        this.height = attachment.height;
+        this.stencilAttachment = attachment;
+        this.stencilAttachmentTarget = target;
+        this.stencilAttachmentLevel = level;
+
+        this.attach(CONSTANTS.STENCIL_ATTACHMENT, attachment, target, level);
+
+        this.setSize(attachment.width, attachment.height, level);
+
+        this.restoreState(currentFramebuffer);
+        this.strictValidate();
+
+        return this;
+    }
+
+    /**
+        为这个帧缓冲附加一个深度模板目标（例如 DEPTH24_STENCIL8 格式的纹理或渲染缓冲），
+        附加到 DEPTH_STENCIL_ATTACHMENT。这个附件同时作为深度附件和模板附件。
+
+        @method
+        @param {Texture|Cubemap|Renderbuffer} attachment 要附加的纹理、立方体纹理或渲染缓冲。
+        @param {GLEnum} [target] 要附加的纹理目标或层级。如果是3D纹理或纹理数组，默认为0，
+            否则为 TEXTURE_2D。渲染缓冲忽略该参数。
+        @param {number} [level=0] 要附加的 mipmap 级别。渲染缓冲忽略该参数。
+        @return {Framebuffer} Framebuffer 对象。
+        @throws {Error} 严格模式下附加后帧缓冲不完整时抛出。
+    */
+    depthStencilTarget(attachment, target = attachment.is3D ? 0 : CONSTANTS.TEXTURE_2D, level = 0) {
+
+        let currentFramebuffer = this.bindAndCaptureState();
+
+        this.depthAttachment = attachment;
+        this.depthAttachmentTarget = target;
+        this.depthAttachmentLevel = level;
+        this.depthAttachmentEnum = CONSTANTS.DEPTH_STENCIL_ATTACHMENT;
+        this.stencilAttachment = attachment;
+        this.stencilAttachmentTarget = target;
+        this.stencilAttachmentLevel = level;
+
+        this.attach(CONSTANTS.DEPTH_STENCIL_ATTACHMENT, attachment, target, level);
+
+        this.setSize(attachment.width, attachment.height, level);
 
         this.restoreState(currentFramebuffer);
+        this.strictValidate();
+
+        return this;
+    }
+
+    /**
+        切换已附加的颜色目标的纹理层、立方体面或 mipmap 级别，不会重新设定其他附件。
+        适合逐层或逐面渲染（例如渲染立方体贴图的各个面，或者生成降采样链）。
+
+        @method
+        @param {number} index 颜色附加索引。
+        @param {GLEnum} target 要附加的纹理层级（3D 纹理或纹理数组）或立方体面。
+        @param {number} [level] 要附加的 mipmap 级别。默认保持当前级别。
+        @return {Framebuffer} Framebuffer 对象。
+        @throws {Error} 严格模式下附加后帧缓冲不完整时抛出。
+    */
+    colorTargetLayer(index, target, level = this.colorAttachmentLevels[index]) {
+        let attachment = this.colorAttachments[index];
+
+        if (!attachment || attachment instanceof Renderbuffer) {
+            console.error(`Framebuffer has no texture color attachment at index ${index}.`);
+            return this;
+        }
+
+        this.colorAttachmentTargets[index] = target;
+        this.colorAttachmentLevels[index] = level;
+
+        let currentFramebuffer = this.bindAndCaptureState();
+
+        this.attach(this.colorAttachmentEnums[index], attachment, target, level);
+        this.setSize(attachment.width, attachment.height, level);
+
+        this.restoreState(currentFramebuffer);
+        this.strictValidate();
+
+        return this;
+    }
+
+    /**
+        切换已附加的深度（或深度模板）目标的纹理层、立方体面或 mipmap 级别。
+
+        @method
+        @param {GLEnum} target 要附加的纹理层级（3D 纹理或纹理数组）或立方体面。
+        @param {number} [level] 要附加的 mipmap 级别。默认保持当前级别。
+        @return {Framebuffer} Framebuffer 对象。
+        @throws {Error} 严格模式下附加后帧缓冲不完整时抛出。
+    */
+    depthTargetLayer(target, level = this.depthAttachmentLevel) {
+        let attachment = this.depthAttachment;
+
+        if (!attachment || attachment instanceof Renderbuffer) {
+            console.error("Framebuffer has no texture depth attachment.");
+            return this;
+        }
+
+        this.depthAttachmentTarget = target;
+        this.depthAttachmentLevel = level;
+
+        if (this.depthAttachmentEnum === CONSTANTS.DEPTH_STENCIL_ATTACHMENT) {
+            this.stencilAttachmentTarget = target;
+            this.stencilAttachmentLevel = level;
+        }
+
+        let currentFramebuffer = this.bindAndCaptureState();
+
+        this.attach(this.depthAttachmentEnum, attachment, target, level);
+        this.setSize(attachment.width, attachment.height, level);
+
+        this.restoreState(currentFramebuffer);
+        this.strictValidate();
 
         return this;
     }
@@ -175,6 +382,8 @@ class Framebuffer {
     resize(width = this.gl.drawingBufferWidth, height = this.gl.drawingBufferHeight) {
 
         let currentFramebuffer = this.bindAndCaptureState();
+        // 帧缓冲尺寸取第一个颜色附件（没有时取深度或模板附件）所附加级别的尺寸
+        let level = -1;
 
         for (let i = 0; i < this.numColorTargets; ++i) {
             let attachment = this.colorAttachments[i];
@@ -186,11 +395,10 @@ class Framebuffer {
             attachment.resize(width, height);
             if (attachment instanceof Texture) {
                 // 贴图重新缩放会重新创建贴图对象。
-                if (attachment.is3D) {
-                    this.gl.framebufferTextureLayer(CONSTANTS.DRAW_FRAMEBUFFER, this.colorAttachmentEnums[i], attachment.texture, 0, this.colorAttachmentTargets[i]);
-                } else {
-                    this.gl.framebufferTexture2D(CONSTANTS.DRAW_FRAMEBUFFER, this.colorAttachmentEnums[i], this.colorAttachmentTargets[i], attachment.texture, 0);
-                }
+                this.attach(this.colorAttachmentEnums[i], attachment, this.colorAttachmentTargets[i], this.colorAttachmentLevels[i]);
+            }
+            if (level === -1) {
+                level = this.colorAttachmentLevels[i];
             }
         }
 
@@ -198,16 +406,27 @@ class Framebuffer {
             this.depthAttachment.resize(width, height);
             if (this.depthAttachment instanceof Texture) {
                 // 贴图重新缩放会重新创建贴图对象。
-                if (this.depthAttachment.is3D) {
-                    this.gl.framebufferTextureLayer(CONSTANTS.DRAW_FRAMEBUFFER, CONSTANTS.DEPTH_ATTACHMENT, this.depthAttachment.texture, 0, this.depthAttachmentTarget);
-                } else {
-                    this.gl.framebufferTexture2D(CONSTANTS.DRAW_FRAMEBUFFER, CONSTANTS.DEPTH_ATTACHMENT, this.depthAttachmentTarget, this.depthAttachment.texture, 0);
-                }
+                this.attach(this.depthAttachmentEnum, this.depthAttachment, this.depthAttachmentTarget, this.depthAttachmentLevel);
+            }
+            if (level === -1) {
+                level = this.depthAttachmentLevel;
             }
         }
 
-        this.width = width;
-        this.height = height;
+        if (this.stencilAttachment && this.depthAttachmentEnum !== CONSTANTS.DEPTH_STENCIL_ATTACHMENT) {
+            if (this.stencilAttachment !== this.depthAttachment) {
+                this.stencilAttachment.resize(width, height);
+            }
+            if (this.stencilAttachment instanceof Texture) {
+                // 贴图重新缩放会重新创建贴图对象。
+                this.attach(CONSTANTS.STENCIL_ATTACHMENT, this.stencilAttachment, this.stencilAttachmentTarget, this.stencilAttachmentLevel);
+            }
+            if (level === -1) {
+                level = this.stencilAttachmentLevel;
+            }
+        }
+
+        this.setSize(width, height, Math.max(level, 0));
 
         this.restoreState(currentFramebuffer);
 
@@ -221,6 +440,8 @@ class Framebuffer {
         @return {Framebuffer} Framebuffer 对象。
     */
     delete() {
+        untrackResource(this);
+
         if (this.framebuffer) {
             this.gl.deleteFramebuffer(this.framebuffer);
             this.framebuffer = null;
@@ -239,6 +460,235 @@ class Framebuffer {
         return this;
     }
 
+    /**
+        清除一个颜色附件。根据附件的内部格式选择 clearBufferfv（浮点和归一化格式）、
+        clearBufferiv（有符号整数格式）或 clearBufferuiv（无符号整数格式）。
+        与 App.clear() 一样，清除受裁剪测试和颜色掩码影响。
+
+        @method
+        @param {number} index 颜色附加索引。
+        @param {Array|ArrayBufferView} value 清除值（RGBA 四个分量）。
+        @return {Framebuffer} Framebuffer 对象。
+    */
+    clearColor(index, value) {
+        let attachment = this.colorAttachments[index];
+
+        if (!attachment) {
+            console.error(`Framebuffer has no color attachment at index ${index}.`);
+            return this;
+        }
+
+        let currentFramebuffer = this.bindAndCaptureState();
+        let type = readFormat(attachment.internalFormat).type;
+
+        if (type === CONSTANTS.INT) {
+            this.gl.clearBufferiv(CONSTANTS.COLOR, index, value);
+        } else if (type === CONSTANTS.UNSIGNED_INT) {
+            this.gl.clearBufferuiv(CONSTANTS.COLOR, index, value);
+        } else {
+            this.gl.clearBufferfv(CONSTANTS.COLOR, index, value);
+        }
+
+        this.restoreState(currentFramebuffer);
+
+        return this;
+    }
+
+    /**
+        清除深度附件。
+
+        @method
+        @param {number} [value=1] 深度清除值。
+        @return {Framebuffer} Framebuffer 对象。
+    */
+    clearDepth(value = 1) {
+        let currentFramebuffer = this.bindAndCaptureState();
+        this.gl.clearBufferfv(CONSTANTS.DEPTH, 0, [ value ]);
+        this.restoreState(currentFramebuffer);
+
+        return this;
+    }
+
+    /**
+        清除模板附件。
+
+        @method
+        @param {number} [value=0] 模板清除值。
+        @return {Framebuffer} Framebuffer 对象。
+    */
+    clearStencil(value = 0) {
+        let currentFramebuffer = this.bindAndCaptureState();
+        this.gl.clearBufferiv(CONSTANTS.STENCIL, 0, [ value ]);
+        this.restoreState(currentFramebuffer);
+
+        return this;
+    }
+
+    /**
+        使用 clearBufferfi 同时清除深度和模板附件。
+
+        @method
+        @param {number} [depth=1] 深度清除值。
+        @param {number} [stencil=0] 模板清除值。
+        @return {Framebuffer} Framebuffer 对象。
+    */
+    clearDepthStencil(depth = 1, stencil = 0) {
+        let currentFramebuffer = this.bindAndCaptureState();
+        this.gl.clearBufferfi(CONSTANTS.DEPTH_STENCIL, 0, depth, stencil);
+        this.restoreState(currentFramebuffer);
+
+        return this;
+    }
+
+    /**
+        提示 GPU 附件的内容不再需要（invalidateFramebuffer），在分块渲染（tiled）的移动 GPU 上
+        可以省去将附件写回显存的带宽。
+
+        @method
+        @param {Array} [attachments] 要失效的附加点（例如 PicoGL.DEPTH_ATTACHMENT）。
+            默认为所有已附加的附件。
+        @return {Framebuffer} Framebuffer 对象。
+    */
+    invalidate(attachments = this.attachmentEnums()) {
+        if (attachments.length > 0) {
+            let currentFramebuffer = this.bindAndCaptureState();
+            this.gl.invalidateFramebuffer(CONSTANTS.DRAW_FRAMEBUFFER, attachments);
+            this.restoreState(currentFramebuffer);
+        }
+
+        return this;
+    }
+
+    /**
+        声明临时附件。临时附件的内容在绘制或 blit 之后不再需要，可以通过 App.blitFramebuffer()
+        或 App.drawFramebuffer() 的 invalidate 选项自动失效。切换绘图帧缓冲时只有临时的深度和
+        模板附件失效，MSAA 颜色附件只在 blit 解析之后失效。
+
+        @method
+        @param {Array} [attachments] 临时的附加点。默认为深度、模板附件以及 MSAA 渲染缓冲颜色附件。
+        @return {Framebuffer} Framebuffer 对象。
+    */
+    transientTargets(attachments) {
+        if (!attachments) {
+            attachments = [];
+
+            for (let i = 0; i < this.numColorTargets; ++i) {
+                let attachment = this.colorAttachments[i];
+
+                if (attachment instanceof Renderbuffer && attachment.samples > 0) {
+                    attachments.push(this.colorAttachmentEnums[i]);
+                }
+            }
+
+            attachments.push(...this.depthStencilEnums());
+        }
+
+        this.transientAttachments = attachments;
+
+        return this;
+    }
+
+    /**
+        检查这个 framebuffer 是否完整，并说明不完整的原因。检查附件是否缺失、尺寸是否一致、
+        MSAA 采样数是否一致，以及内部格式是否可以渲染（例如浮点格式需要先调用
+        app.floatRenderTargets()）。严格模式下，每次附加目标或切换层级后都会自动检查，不完整时抛出错误。
+
+        @method
+        @return {Object} 检查报告 { complete, status, statusName, errors }。complete 表示帧缓冲是否完整，
+            status 和 statusName 是 checkFramebufferStatus() 的结果，errors 中的每一项为
+            { attachment, message }，attachment 是 "color0"、"depth"、"stencil"、"depthStencil" 或 null。
+    */
+    validate() {
+        let errors = [];
+        let attachments = [];
+
+        for (let i = 0; i < this.numColorTargets; ++i) {
+            let attachment = this.colorAttachments[i];
+
+            if (!attachment) {
+                continue;
+            }
+
+            let name = `color${i}`;
+            let internalFormat = attachment.internalFormat;
+
+            attachments.push({ name, attachment, level: this.colorAttachmentLevels[i] });
+
+            if (NON_COLOR_RENDERABLE_FORMATS.indexOf(internalFormat) !== -1 || TEXTURE_FORMAT_DEFAULTS.COMPRESSED_TYPES[internalFormat]) {
+                errors.push({ attachment: name, message: `Internal format 0x${internalFormat.toString(16)} is not color-renderable.` });
+            } else if (FLOAT_RENDERABLE_FORMATS.indexOf(internalFormat) !== -1 && !this.appState.colorBufferFloatExt) {
+                errors.push({ attachment: name, message: "Float render targets require app.floatRenderTargets() (EXT_color_buffer_float)." });
+            }
+        }
+
+        if (this.depthAttachmentEnum === CONSTANTS.DEPTH_STENCIL_ATTACHMENT) {
+            attachments.push({ name: "depthStencil", attachment: this.depthAttachment, level: this.depthAttachmentLevel });
+
+            if (STENCIL_FORMATS.indexOf(this.depthAttachment.internalFormat) === -1 || DEPTH_FORMATS.indexOf(this.depthAttachment.internalFormat) === -1) {
+                errors.push({ attachment: "depthStencil", message: `Internal format 0x${this.depthAttachment.internalFormat.toString(16)} is not a depth-stencil format.` });
+            }
+        } else {
+            if (this.depthAttachment) {
+                attachments.push({ name: "depth", attachment: this.depthAttachment, level: this.depthAttachmentLevel });
+
+                if (DEPTH_FORMATS.indexOf(this.depthAttachment.internalFormat) === -1) {
+                    errors.push({ attachment: "depth", message: `Internal format 0x${this.depthAttachment.internalFormat.toString(16)} is not depth-renderable.` });
+                }
+            }
+
+            if (this.stencilAttachment) {
+                attachments.push({ name: "stencil", attachment: this.stencilAttachment, level: this.stencilAttachmentLevel });
+
+                if (STENCIL_FORMATS.indexOf(this.stencilAttachment.internalFormat) === -1) {
+                    errors.push({ attachment: "stencil", message: `Internal format 0x${this.stencilAttachment.internalFormat.toString(16)} is not stencil-renderable.` });
+                }
+            }
+        }
+
+        if (attachments.length === 0) {
+            errors.push({ attachment: null, message: "Framebuffer has no attachments." });
+        } else {
+            let first = attachments[0];
+            let width = Math.max(first.attachment.width >> first.level, 1);
+            let height = Math.max(first.attachment.height >> first.level, 1);
+            let samples = first.attachment.samples || 0;
+
+            for (let i = 1, len = attachments.length; i < len; ++i) {
+                let { name, attachment, level } = attachments[i];
+                let attachmentWidth = Math.max(attachment.width >> level, 1);
+                let attachmentHeight = Math.max(attachment.height >> level, 1);
+                let attachmentSamples = attachment.samples || 0;
+
+                if (attachmentWidth !== width || attachmentHeight !== height) {
+                    errors.push({
+                        attachment: name,
+                        message: `Size ${attachmentWidth}x${attachmentHeight} does not match ${first.name} size ${width}x${height}.`
+                    });
+                }
+
+                if (attachmentSamples !== samples) {
+                    errors.push({
+                        attachment: name,
+                        message: `Sample count ${attachmentSamples} does not match ${first.name} sample count ${samples}.`
+                    });
+                }
+            }
+        }
+
+        let status = this.getStatus();
+
+        if (status !== CONSTANTS.FRAMEBUFFER_COMPLETE && errors.length === 0) {
+            errors.push({ attachment: null, message: `Framebuffer is incomplete (${STATUS_NAMES[status] || status}).` });
+        }
+
+        return {
+            complete: status === CONSTANTS.FRAMEBUFFER_COMPLETE && errors.length === 0,
+            status,
+            statusName: STATUS_NAMES[status] || null,
+            errors
+        };
+    }
+
     /**
         获取这个 framebuffer 的当前状态。
 
@@ -285,6 +735,124 @@ class Framebuffer {
         return this;
     }
 
+    /**
+        所有已附加附件的附加点。
+
+        @method
+        @ignore
+        @return {Array} 附加点数组。
+    */
+    attachmentEnums() {
+        let attachments = [];
+
+        for (let i = 0; i < this.numColorTargets; ++i) {
+            if (this.colorAttachments[i]) {
+                attachments.push(this.colorAttachmentEnums[i]);
+            }
+        }
+
+        attachments.push(...this.depthStencilEnums());
+
+        return attachments;
+    }
+
+    /**
+        临时附件中的深度和模板附加点，在切换绘图帧缓冲时失效。
+
+        @method
+        @ignore
+        @return {Array} 附加点数组。
+    */
+    transientDepthStencilEnums() {
+        return this.transientAttachments.filter((attachment) =>
+            attachment === CONSTANTS.DEPTH_ATTACHMENT ||
+            attachment === CONSTANTS.STENCIL_ATTACHMENT ||
+            attachment === CONSTANTS.DEPTH_STENCIL_ATTACHMENT
+        );
+    }
+
+    /**
+        已附加的深度和模板附件的附加点。
+
+        @method
+        @ignore
+        @return {Array} 附加点数组。
+    */
+    depthStencilEnums() {
+        let attachments = [];
+
+        if (this.depthAttachment) {
+            attachments.push(this.depthAttachmentEnum);
+        }
+
+        if (this.stencilAttachment && this.depthAttachmentEnum !== CONSTANTS.DEPTH_STENCIL_ATTACHMENT) {
+            attachments.push(CONSTANTS.STENCIL_ATTACHMENT);
+        }
+
+        return attachments;
+    }
+
+    /**
+        严格模式下检查帧缓冲，不完整时抛出错误。
+
+        @method
+        @ignore
+        @return {Framebuffer} Framebuffer 对象。
+        @throws {Error} 严格模式下帧缓冲不完整时抛出，错误信息列出 validate() 报告的所有原因。
+    */
+    strictValidate() {
+        if (this.appState.strictMode) {
+            let report = this.validate();
+
+            if (!report.complete) {
+                let messages = report.errors.map((error) => error.attachment ? `Framebuffer ${error.attachment}: ${error.message}` : `Framebuffer: ${error.message}`);
+                throw new Error(`Framebuffer is incomplete:\n${messages.join("\n")}`);
+            }
+        }
+
+        return this;
+    }
+
+    /**
+        将附件附加到当前绑定的绘图帧缓冲。
+
+        @method
+        @ignore
+        @param {GLEnum} attachmentEnum 附加点（例如 COLOR_ATTACHMENT0）。
+        @param {Texture|Cubemap|Renderbuffer} attachment 要附加的纹理、立方体纹理或渲染缓冲。
+        @param {GLEnum} target 纹理目标或层级。
+        @param {number} level mipmap 级别。
+        @return {Framebuffer} Framebuffer 对象。
+    */
+    attach(attachmentEnum, attachment, target, level) {
+        if (attachment instanceof Renderbuffer) {
+            this.gl.framebufferRenderbuffer(CONSTANTS.DRAW_FRAMEBUFFER, attachmentEnum, CONSTANTS.RENDERBUFFER, attachment.renderbuffer);
+        } else if (attachment.is3D) {
+            this.gl.framebufferTextureLayer(CONSTANTS.DRAW_FRAMEBUFFER, attachmentEnum, attachment.texture, level, target);
+        } else {
+            this.gl.framebufferTexture2D(CONSTANTS.DRAW_FRAMEBUFFER, attachmentEnum, target, attachment.texture, level);
+        }
+
+        return this;
+    }
+
+    /**
+        根据附件大小和 mipmap 级别设定帧缓冲的大小。
+
+        @method
+        @ignore
+        @param {number} width 附件宽度。
+        @param {number} height 附件高度。
+        @param {number} level mipmap 级别。
+        @return {Framebuffer} Framebuffer 对象。
+    */
+    setSize(width, height, level) {
+        this.width = Math.max(width >> level, 1);
+        this.height = Math.max(height >> level, 1);
+
+        return this;
+    }
+
     /**
         绑定一个帧缓冲状态更新。
         捕获当前的绑定以便我们稍后恢复它。
@@ -36,6 +36,15 @@ const App = require("./app");
 const PicoGL = require("./constants");
 PicoGL.version = "%%VERSION%%";
 
+const ShaderErrors = require("./shader-errors");
+PicoGL.ShaderCompileError = ShaderErrors.ShaderCompileError;
+PicoGL.ProgramLinkError = ShaderErrors.ProgramLinkError;
+
+const PixelData = require("./pixel-data");
+PicoGL.flipPixelRows = PixelData.flipPixelRows;
+PicoGL.pixelsToImageData = PixelData.pixelsToImageData;
+PicoGL.encodePNG = PixelData.encodePNG;
+
 /**
     创建一个 PicoGL 应用程序。这个应用程序是 PicoGL 的主要入口。它存储
     了 canvas、WebGL 上下文以及所有的 WebGL 状态。
@@ -51,6 +60,8 @@ PicoGL.createApp = function(canvas, contextAttributes) {
         PicoGL.WEBGL_INFO.MAX_TEXTURE_UNITS = gl.getParameter(gl.MAX_COMBINED_TEXTURE_IMAGE_UNITS);
         PicoGL.WEBGL_INFO.MAX_UNIFORM_BUFFERS = gl.getParameter(gl.MAX_UNIFORM_BUFFER_BINDINGS);
         PicoGL.WEBGL_INFO.SAMPLES = gl.getParameter(gl.SAMPLES);
+        PicoGL.WEBGL_INFO.UNIFORM_BUFFER_OFFSET_ALIGNMENT = gl.getParameter(gl.UNIFORM_BUFFER_OFFSET_ALIGNMENT);
+        PicoGL.WEBGL_INFO.MAX_ELEMENT_INDEX = gl.getParameter(gl.MAX_ELEMENT_INDEX);
         webglInfoInitialized = true;      
     }
     return new App(gl, canvas);
@@ -0,0 +1,330 @@
+///////////////////////////////////////////////////////////////////////////////////
+// The MIT License (MIT)
+//
+// Copyright (c) 2017 Tarek Sherif
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy of
+// this software and associated documentation files (the "Software"), to deal in
+// the Software without restriction, including without limitation the rights to
+// use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of
+// the Software, and to permit persons to whom the Software is furnished to do so,
+// subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in all
+// copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS
+// FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR
+// COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER
+// IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN
+// CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+///////////////////////////////////////////////////////////////////////////////////
+
+"use strict";
+
+const CONSTANTS = require("./constants");
+
+const FORMAT_COMPONENTS = {};
+FORMAT_COMPONENTS[CONSTANTS.RED] = 1;
+FORMAT_COMPONENTS[CONSTANTS.RED_INTEGER] = 1;
+FORMAT_COMPONENTS[CONSTANTS.ALPHA] = 1;
+FORMAT_COMPONENTS[CONSTANTS.LUMINANCE] = 1;
+FORMAT_COMPONENTS[CONSTANTS.DEPTH_COMPONENT] = 1;
+FORMAT_COMPONENTS[CONSTANTS.DEPTH_STENCIL] = 1;
+FORMAT_COMPONENTS[CONSTANTS.RG] = 2;
+FORMAT_COMPONENTS[CONSTANTS.RG_INTEGER] = 2;
+FORMAT_COMPONENTS[CONSTANTS.LUMINANCE_ALPHA] = 2;
+FORMAT_COMPONENTS[CONSTANTS.RGB] = 3;
+FORMAT_COMPONENTS[CONSTANTS.RGB_INTEGER] = 3;
+FORMAT_COMPONENTS[CONSTANTS.RGBA] = 4;
+FORMAT_COMPONENTS[CONSTANTS.RGBA_INTEGER] = 4;
+
+// 打包类型每个像素只占一个元素
+const PACKED_TYPES = {};
+PACKED_TYPES[CONSTANTS.UNSIGNED_SHORT_5_6_5] = Uint16Array;
+PACKED_TYPES[CONSTANTS.UNSIGNED_SHORT_4_4_4_4] = Uint16Array;
+PACKED_TYPES[CONSTANTS.UNSIGNED_SHORT_5_5_5_1] = Uint16Array;
+PACKED_TYPES[CONSTANTS.UNSIGNED_INT_2_10_10_10_REV] = Uint32Array;
+PACKED_TYPES[CONSTANTS.UNSIGNED_INT_10F_11F_11F_REV] = Uint32Array;
+PACKED_TYPES[CONSTANTS.UNSIGNED_INT_5_9_9_9_REV] = Uint32Array;
+PACKED_TYPES[CONSTANTS.UNSIGNED_INT_24_8] = Uint32Array;
+
+const TYPED_ARRAYS = {};
+TYPED_ARRAYS[CONSTANTS.BYTE] = Int8Array;
+TYPED_ARRAYS[CONSTANTS.UNSIGNED_BYTE] = Uint8Array;
+TYPED_ARRAYS[CONSTANTS.SHORT] = Int16Array;
+TYPED_ARRAYS[CONSTANTS.UNSIGNED_SHORT] = Uint16Array;
+TYPED_ARRAYS[CONSTANTS.HALF_FLOAT] = Uint16Array;
+TYPED_ARRAYS[CONSTANTS.INT] = Int32Array;
+TYPED_ARRAYS[CONSTANTS.UNSIGNED_INT] = Uint32Array;
+TYPED_ARRAYS[CONSTANTS.FLOAT] = Float32Array;
+
+const FLOAT_FORMATS = [
+    CONSTANTS.R16F, CONSTANTS.RG16F, CONSTANTS.RGB16F, CONSTANTS.RGBA16F,
+    CONSTANTS.R32F, CONSTANTS.RG32F, CONSTANTS.RGB32F, CONSTANTS.RGBA32F,
+    CONSTANTS.R11F_G11F_B10F, CONSTANTS.RGB9_E5
+];
+
+const INT_FORMATS = [
+    CONSTANTS.R8I, CONSTANTS.RG8I, CONSTANTS.RGB8I, CONSTANTS.RGBA8I,
+    CONSTANTS.R16I, CONSTANTS.RG16I, CONSTANTS.RGB16I, CONSTANTS.RGBA16I,
+    CONSTANTS.R32I, CONSTANTS.RG32I, CONSTANTS.RGB32I, CONSTANTS.RGBA32I
+];
+
+const UNSIGNED_INT_FORMATS = [
+    CONSTANTS.R8UI, CONSTANTS.RG8UI, CONSTANTS.RGB8UI, CONSTANTS.RGBA8UI,
+    CONSTANTS.R16UI, CONSTANTS.RG16UI, CONSTANTS.RGB16UI, CONSTANTS.RGBA16UI,
+    CONSTANTS.R32UI, CONSTANTS.RG32UI, CONSTANTS.RGB32UI, CONSTANTS.RGBA32UI,
+    CONSTANTS.RGB10_A2UI
+];
+
+const PNG_SIGNATURE = [ 137, 80, 78, 71, 13, 10, 26, 10 ];
+const MAX_STORED_BLOCK = 65535;
+
+let crcTable = null;
+
+// 根据附件的内部格式，返回 readPixels() 必定支持的格式和类型组合：
+// 浮点附件为 RGBA/FLOAT，有符号整数附件为 RGBA_INTEGER/INT，
+// 无符号整数附件为 RGBA_INTEGER/UNSIGNED_INT，其他为 RGBA/UNSIGNED_BYTE。
+// 类型同时用于区分附件的数据类别（例如选择 clearBuffer 的变体）。
+function readFormat(internalFormat) {
+    if (FLOAT_FORMATS.indexOf(internalFormat) !== -1) {
+        return { format: CONSTANTS.RGBA, type: CONSTANTS.FLOAT };
+    }
+
+    if (INT_FORMATS.indexOf(internalFormat) !== -1) {
+        return { format: CONSTANTS.RGBA_INTEGER, type: CONSTANTS.INT };
+    }
+
+    if (UNSIGNED_INT_FORMATS.indexOf(internalFormat) !== -1) {
+        return { format: CONSTANTS.RGBA_INTEGER, type: CONSTANTS.UNSIGNED_INT };
+    }
+
+    return { format: CONSTANTS.RGBA, type: CONSTANTS.UNSIGNED_BYTE };
+}
+
+// 创建足以存储 width x height 个像素的类型化数组，数组类型与 readPixels() 所需一致。
+function createPixelArray(width, height, format = CONSTANTS.RGBA, type = CONSTANTS.UNSIGNED_BYTE) {
+    if (PACKED_TYPES[type]) {
+        return new PACKED_TYPES[type](width * height);
+    }
+
+    return new TYPED_ARRAYS[type](width * height * FORMAT_COMPONENTS[format]);
+}
+
+/**
+    原地上下翻转像素数据的行顺序。readPixels() 返回的第一行是图像的底部，
+    而大多数图像格式的第一行是图像的顶部。
+
+    @function PicoGL.flipPixelRows
+    @param {ArrayBufferView} data 像素数据。
+    @param {number} width 图像宽度。
+    @param {number} height 图像高度。
+    @return {ArrayBufferView} 翻转后的像素数据（即 data）。
+*/
+function flipPixelRows(data, width, height) {
+    let rowLength = data.length / height;
+    let temp = new data.constructor(rowLength);
+
+    for (let top = 0, bottom = height - 1; top < bottom; ++top, --bottom) {
+        let topStart = top * rowLength;
+        let bottomStart = bottom * rowLength;
+
+        temp.set(data.subarray(topStart, topStart + rowLength));
+        data.copyWithin(topStart, bottomStart, bottomStart + rowLength);
+        data.set(temp, bottomStart);
+    }
+
+    return data;
+}
+
+/**
+    将 RGBA 像素数据转换为 ImageData（环境不支持 ImageData 时，返回具有相同属性的对象），
+    例如用于 CanvasRenderingContext2D.putImageData()。浮点数据会从 [0, 1] 映射到 [0, 255]，
+    8 位以外的整数数据（例如整数附件的读回结果）会从 [0, options.maxValue] 映射到 [0, 255]。
+
+    @function PicoGL.pixelsToImageData
+    @param {ArrayBufferView} data RGBA 像素数据。
+    @param {number} width 图像宽度。
+    @param {number} height 图像高度。
+    @param {Object} [options] 选项。
+    @param {boolean} [options.flipY=true] 是否翻转行顺序（readPixels() 的数据是自下而上的）。
+    @param {number} [options.maxValue] 整数数据对应附件格式的最大值（例如 RGBA8UI 为 255，
+        RGBA16I 为 32767）。data 是 Uint8Array 和 Float32Array 以外的类型化数组时必须指定，
+        负值会被截断为 0。
+    @return {ImageData} { width, height, data } 形式的图像数据。
+    @throws {Error} 整数数据未指定 options.maxValue 时抛出。
+*/
+function pixelsToImageData(data, width, height, options = CONSTANTS.DUMMY_OBJECT) {
+    let pixels = toRGBA8(data, options.flipY !== false ? height : 0, options.maxValue);
+
+    if (typeof ImageData !== "undefined") {
+        return new ImageData(pixels, width, height);
+    }
+
+    return { width, height, data: pixels };
+}
+
+/**
+    将 RGBA 像素数据编码为 PNG 文件（使用未压缩的 deflate 块）。浮点数据会从 [0, 1] 映射到 [0, 255]，
+    8 位以外的整数数据（例如整数附件的读回结果）会从 [0, options.maxValue] 映射到 [0, 255]。
+
+    @function PicoGL.encodePNG
+    @param {ArrayBufferView} data RGBA 像素数据。
+    @param {number} width 图像宽度。
+    @param {number} height 图像高度。
+    @param {Object} [options] 选项。
+    @param {boolean} [options.flipY=true] 是否翻转行顺序（readPixels() 的数据是自下而上的）。
+    @param {number} [options.maxValue] 整数数据对应附件格式的最大值（例如 RGBA8UI 为 255，
+        RGBA16I 为 32767）。data 是 Uint8Array 和 Float32Array 以外的类型化数组时必须指定，
+        负值会被截断为 0。
+    @return {Uint8Array} PNG 文件数据。
+    @throws {Error} 整数数据未指定 options.maxValue 时抛出。
+*/
+function encodePNG(data, width, height, options = CONSTANTS.DUMMY_OBJECT) {
+    let pixels = toRGBA8(data, options.flipY !== false ? height : 0, options.maxValue);
+    let rowLength = width * 4;
+
+    // 每行以过滤类型（0：无过滤）开头
+    let raw = new Uint8Array((rowLength + 1) * height);
+    for (let i = 0; i < height; ++i) {
+        raw.set(pixels.subarray(i * rowLength, (i + 1) * rowLength), i * (rowLength + 1) + 1);
+    }
+
+    let header = new Uint8Array(13);
+    let headerView = new DataView(header.buffer);
+    headerView.setUint32(0, width);
+    headerView.setUint32(4, height);
+    header[8] = 8;  // 位深
+    header[9] = 6;  // 颜色类型：RGBA
+
+    let chunks = [
+        pngChunk("IHDR", header),
+        pngChunk("IDAT", zlibStored(raw)),
+        pngChunk("IEND", new Uint8Array(0))
+    ];
+
+    let length = PNG_SIGNATURE.length;
+    for (let i = 0; i < chunks.length; ++i) {
+        length += chunks[i].length;
+    }
+
+    let png = new Uint8Array(length);
+    let offset = PNG_SIGNATURE.length;
+    png.set(PNG_SIGNATURE);
+    for (let i = 0; i < chunks.length; ++i) {
+        png.set(chunks[i], offset);
+        offset += chunks[i].length;
+    }
+
+    return png;
+}
+
+// 转换为 Uint8ClampedArray。flipHeight 不为 0 时同时翻转行顺序。
+// 8 位数据直接复制，浮点数据从 [0, 1] 映射。其他整数数据（例如整数附件以
+// RGBA_INTEGER/INT 或 UNSIGNED_INT 读回的结果）无法从数组类型推断附件的取值范围，
+// 必须通过 maxValue 指定，从 [0, maxValue] 映射，否则抛出错误。
+function toRGBA8(data, flipHeight, maxValue) {
+    let scale;
+
+    if (data instanceof Uint8Array || data instanceof Uint8ClampedArray) {
+        scale = 1;
+    } else if (data instanceof Float32Array) {
+        scale = 255;
+    } else if (maxValue > 0) {
+        scale = 255 / maxValue;
+    } else {
+        throw new Error("Integer pixel data must specify options.maxValue, the maximum value of the attachment format.");
+    }
+
+    let pixels = new Uint8ClampedArray(data.length);
+
+    for (let i = 0, len = data.length; i < len; ++i) {
+        pixels[i] = data[i] * scale;
+    }
+
+    if (flipHeight) {
+        flipPixelRows(pixels, 0, flipHeight);
+    }
+
+    return pixels;
+}
+
+function pngChunk(type, data) {
+    let chunk = new Uint8Array(data.length + 12);
+    let view = new DataView(chunk.buffer);
+
+    view.setUint32(0, data.length);
+    for (let i = 0; i < 4; ++i) {
+        chunk[i + 4] = type.charCodeAt(i);
+    }
+    chunk.set(data, 8);
+    view.setUint32(data.length + 8, crc32(chunk.subarray(4, data.length + 8)));
+
+    return chunk;
+}
+
+// 使用未压缩（stored）deflate 块的 zlib 数据流
+function zlibStored(data) {
+    let numBlocks = Math.max(Math.ceil(data.length / MAX_STORED_BLOCK), 1);
+    let out = new Uint8Array(2 + numBlocks * 5 + data.length + 4);
+    let view = new DataView(out.buffer);
+    let offset = 2;
+
+    out[0] = 0x78;
+    out[1] = 0x01;
+
+    for (let i = 0; i < numBlocks; ++i) {
+        let start = i * MAX_STORED_BLOCK;
+        let length = Math.min(data.length - start, MAX_STORED_BLOCK);
+
+        out[offset] = i === numBlocks - 1 ? 1 : 0;
+        view.setUint16(offset + 1, length, true);
+        view.setUint16(offset + 3, ~length & 0xFFFF, true);
+        out.set(data.subarray(start, start + length), offset + 5);
+        offset += length + 5;
+    }
+
+    view.setUint32(offset, adler32(data));
+
+    return out;
+}
+
+function crc32(data) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; ++n) {
+            let c = n;
+            for (let k = 0; k < 8; ++k) {
+                c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+            }
+            crcTable[n] = c;
+        }
+    }
+
+    let crc = 0xFFFFFFFF;
+    for (let i = 0, len = data.length; i < len; ++i) {
+        crc = crcTable[(crc ^ data[i]) & 0xFF] ^ (crc >>> 8);
+    }
+
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+function adler32(data) {
+    let a = 1;
+    let b = 0;
+
+    for (let i = 0, len = data.length; i < len; ++i) {
+        a = (a + data[i]) % 65521;
+        b = (b + a) % 65521;
+    }
+
+    return ((b << 16) | a) >>> 0;
+}
+
+module.exports.readFormat = readFormat;
+module.exports.createPixelArray = createPixelArray;
+module.exports.flipPixelRows = flipPixelRows;
+module.exports.pixelsToImageData = pixelsToImageData;
+module.exports.encodePNG = encodePNG;
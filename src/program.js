@@ -25,7 +25,9 @@
 
 const CONSTANTS = require("./constants");
 const Shader = require("./shader");
+const ShaderErrors = require("./shader-errors");
 const Uniforms =  require("./uniforms");
+const untrackResource = require("./resources").untrackResource;
 
 const SingleComponentUniform = Uniforms.SingleComponentUniform;
 const MultiNumericUniform = Uniforms.MultiNumericUniform;
@@ -40,71 +42,184 @@ const MatrixUniform = Uniforms.MatrixUniform;
     @prop {WebGLProgram} program WebGL 程序。
     @prop {boolean} transformFeedback 这个程序是否设为变换回传（Transform Feedback）。
     @prop {Object} uniforms uniform 名称与句柄的映射。
+    @prop {Shader|string} vertexSource 顶点着色器对象或源码，用于在上下文丢失后恢复。
+    @prop {Shader|string} fragmentSource 片元着色器对象或源码，用于在上下文丢失后恢复。
+    @prop {Object} shaderOptions 从源码编译着色器时使用的预处理选项。
+    @prop {Object} attributeLocations 链接前通过 bindAttribLocation 指定的属性名称到 location 的映射。
+    @prop {Object} reflection 程序的反射信息，初始化完成前为 null。
+        attributes: 属性名称到 { name, location, type, size } 的映射。
+        uniforms: uniform 名称到 { name, type, size, block, offset, arrayStride, matrixStride, rowMajor }
+            的映射。block 为所属 uniform 块的名称（默认块为 null）；offset 等布局信息只对块成员有效（否则为 -1）。
+        uniformBlocks: uniform 块名称到 { name, index, binding, dataSize, members } 的映射。
+            members 为按偏移排序的成员 uniform 信息数组。
+    @prop {Array} errors 结构化的编译和链接错误（stage、line、column、severity、message）。
+        成功时为空数组。
     @prop {Object} appState 跟踪的GL状态。
 */
 class Program {
 
-    constructor(gl, appState, vsSource, fsSource, xformFeebackVars) {
+    constructor(gl, appState, vsSource, fsSource, xformFeebackVars, shaderOptions = CONSTANTS.DUMMY_OBJECT, deferred = false) {
         this.gl = gl;
         this.appState = appState;
         this.program = null;
+        this.vertexSource = vsSource;
+        this.fragmentSource = fsSource;
         this.transformFeedbackVaryings = xformFeebackVars || null;
+        this.shaderOptions = shaderOptions;
+        this.attributeLocations = shaderOptions.attributeLocations || null;
+        this.errors = [];
         this.uniforms = {};
         this.uniformBlocks = {};
         this.uniformBlockCount = 0;
         this.samplers = {};
         this.samplerCount = 0;
+        this.pendingShaders = null;
+        this.reflection = null;
 
-        this.restore(vsSource, fsSource);
+        if (deferred) {
+            // 由 App.createPrograms() 在编译完成后调用 initialize()
+            this.compile(vsSource, fsSource);
+        } else {
+            this.restore(vsSource, fsSource);
+        }
     }
 
     /**
         在上下文丢失后恢复程序。
 
         @method
-        @param {Shader|string} vertexShader 顶点着色器对象或代码。
-        @param {Shader|string} fragmentShader 片元着色器对象或源码。
+        @param {Shader|string} [vertexShader] 顶点着色器对象或代码。默认使用创建时的着色器。
+        @param {Shader|string} [fragmentShader] 片元着色器对象或源码。默认使用创建时的着色器。
         @return {Program} 程序对象。
+        @throws {ShaderCompileError} 严格模式下着色器编译失败时抛出。
+        @throws {ProgramLinkError} 严格模式下程序链接失败时抛出。
     */
-    restore(vsSource, fsSource) {
+    restore(vsSource = this.vertexSource, fsSource = this.fragmentSource) {
+        this.compile(vsSource, fsSource);
+        this.initialize();
+
+        return this;
+    }
+
+    /**
+        提交着色器编译和程序链接，不查询任何状态，使驱动可以并行编译。
+
+        @method
+        @ignore
+        @param {Shader|string} vsSource 顶点着色器对象或源码。
+        @param {Shader|string} fsSource 片元着色器对象或源码。
+        @return {Program} 程序对象。
+    */
+    compile(vsSource, fsSource) {
+        this.vertexSource = vsSource;
+        this.fragmentSource = fsSource;
+
         if (this.appState.program === this) {
             this.gl.useProgram(null);
             this.appState.program = null;
         }
 
-        this.uniformBlockCount = 0;
-        this.samplerCount = 0;
-
-        let i;
-
         let vShader, fShader;
 
         let ownVertexShader = false;
         let ownFragmentShader = false;
         if (typeof vsSource === "string") {
-            vShader = new Shader(this.gl, CONSTANTS.VERTEX_SHADER, vsSource);
+            vShader = new Shader(this.gl, this.appState, CONSTANTS.VERTEX_SHADER, vsSource, this.shaderOptions, true);
+            ownVertexShader = true;
+        } else if (vsSource.shader === null) {
+            // 着色器对象已被删除（例如在上下文恢复时），使用其源码重新编译。
+            vShader = new Shader(this.gl, this.appState, CONSTANTS.VERTEX_SHADER, vsSource.source, vsSource.options, true);
             ownVertexShader = true;
         } else {
             vShader = vsSource;
         }
 
         if (typeof fsSource === "string") {
-            fShader = new Shader(this.gl, CONSTANTS.FRAGMENT_SHADER, fsSource);
+            fShader = new Shader(this.gl, this.appState, CONSTANTS.FRAGMENT_SHADER, fsSource, this.shaderOptions, true);
+            ownFragmentShader = true;
+        } else if (fsSource.shader === null) {
+            fShader = new Shader(this.gl, this.appState, CONSTANTS.FRAGMENT_SHADER, fsSource.source, fsSource.options, true);
             ownFragmentShader = true;
         } else {
             fShader = fsSource;
         }
 
-        let program = this.gl.createProgram();
-        this.gl.attachShader(program, vShader.shader);
-        this.gl.attachShader(program, fShader.shader);
+        this.program = this.gl.createProgram();
+        this.gl.attachShader(this.program, vShader.shader);
+        this.gl.attachShader(this.program, fShader.shader);
         if (this.transformFeedbackVaryings) {
-            this.gl.transformFeedbackVaryings(program, this.transformFeedbackVaryings, CONSTANTS.SEPARATE_ATTRIBS);
+            this.gl.transformFeedbackVaryings(this.program, this.transformFeedbackVaryings, CONSTANTS.SEPARATE_ATTRIBS);
         }
-        this.gl.linkProgram(program);
+        if (this.attributeLocations) {
+            for (let name in this.attributeLocations) {
+                this.gl.bindAttribLocation(this.program, this.attributeLocations[name], name);
+            }
+        }
+        this.gl.linkProgram(this.program);
+
+        this.pendingShaders = { vShader, fShader, ownVertexShader, ownFragmentShader };
+
+        return this;
+    }
 
-        if (!this.gl.getProgramParameter(program, CONSTANTS.LINK_STATUS)) {
-            console.error(this.gl.getProgramInfoLog(program));
+    /**
+        检查编译和链接是否已经完成。没有 KHR_parallel_shader_compile 扩展时总是返回 true。
+
+        @method
+        @ignore
+        @return {boolean} 是否可以调用 initialize() 而不阻塞。
+    */
+    checkCompletion() {
+        if (!this.appState.parallelShaderCompileExt) {
+            return true;
+        }
+
+        return this.gl.getProgramParameter(this.program, CONSTANTS.COMPLETION_STATUS_KHR);
+    }
+
+    /**
+        检查链接状态，释放临时着色器并查询 uniform、采样器和 uniform 块。
+
+        @method
+        @ignore
+        @return {Program} 程序对象。
+        @throws {ShaderCompileError} 严格模式下着色器编译失败时抛出。
+        @throws {ProgramLinkError} 严格模式下程序链接失败时抛出。
+    */
+    initialize() {
+        let { vShader, fShader, ownVertexShader, ownFragmentShader } = this.pendingShaders;
+        let program = this.program;
+        let errors = [];
+
+        this.pendingShaders = null;
+
+        let linked = this.gl.getProgramParameter(program, CONSTANTS.LINK_STATUS);
+        let preprocessFailed = (ownVertexShader && vShader.preprocessErrors.length > 0) ||
+            (ownFragmentShader && fShader.preprocessErrors.length > 0);
+
+        // 只有链接失败或预处理出错时才查询编译状态，避免成功时的额外同步
+        if (!linked || preprocessFailed) {
+            let vsError = ownVertexShader ? vShader.checkCompileStatus() : null;
+            let fsError = ownFragmentShader ? fShader.checkCompileStatus() : null;
+
+            if (vsError) {
+                errors.push(vsError);
+            }
+
+            if (fsError) {
+                errors.push(fsError);
+            }
+
+            if (errors.length === 0 && !linked) {
+                errors.push(new ShaderErrors.ProgramLinkError(ShaderErrors.parseInfoLog(this.gl.getProgramInfoLog(program), "link"), ""));
+            }
+        }
+
+        this.errors = vShader.errors.concat(fShader.errors);
+        for (let i = 0, len = errors.length; i < len; ++i) {
+            if (errors[i] instanceof ShaderErrors.ProgramLinkError) {
+                this.errors = this.errors.concat(errors[i].errors);
+            }
         }
 
         if (ownVertexShader) {
@@ -115,9 +230,27 @@ class Program {
             fShader.delete();
         }
 
-        this.program = program;
+        if (errors.length > 0) {
+            if (this.appState.strictMode) {
+                this.delete();
+                throw errors[0];
+            }
+
+            for (let i = 0, len = errors.length; i < len; ++i) {
+                console.error(errors[i].message);
+            }
+        }
+
+        // 重新反射前清空旧的查询结果（例如上下文恢复后重新初始化时）
+        this.uniforms = {};
+        this.uniformBlocks = {};
+        this.samplers = {};
+        this.uniformBlockCount = 0;
+        this.samplerCount = 0;
         this.bind();
 
+        let i;
+
         let numUniforms = this.gl.getProgramParameter(program, CONSTANTS.ACTIVE_UNIFORMS);
         let textureUnit;
 
@@ -204,6 +337,102 @@ class Program {
             this.uniformBlocks[blockName] = uniformBlockBase;
         }
 
+        this.reflect();
+
+        return this;
+    }
+
+    /**
+        查询程序的属性、uniform 和 uniform 块布局，存储到 reflection。
+
+        @method
+        @ignore
+        @return {Program} 程序对象。
+    */
+    reflect() {
+        let gl = this.gl;
+        let program = this.program;
+        let attributes = {};
+        let uniforms = {};
+        let uniformBlocks = {};
+        let i;
+
+        let numAttributes = gl.getProgramParameter(program, CONSTANTS.ACTIVE_ATTRIBUTES);
+
+        for (i = 0; i < numAttributes; ++i) {
+            let attributeInfo = gl.getActiveAttrib(program, i);
+
+            attributes[attributeInfo.name] = {
+                name: attributeInfo.name,
+                location: gl.getAttribLocation(program, attributeInfo.name),
+                type: attributeInfo.type,
+                size: attributeInfo.size
+            };
+        }
+
+        let numUniforms = gl.getProgramParameter(program, CONSTANTS.ACTIVE_UNIFORMS);
+        let uniformIndices = new Array(numUniforms);
+
+        for (i = 0; i < numUniforms; ++i) {
+            uniformIndices[i] = i;
+        }
+
+        let blockIndices = numUniforms > 0 ? gl.getActiveUniforms(program, uniformIndices, CONSTANTS.UNIFORM_BLOCK_INDEX) : [];
+        let offsets = numUniforms > 0 ? gl.getActiveUniforms(program, uniformIndices, CONSTANTS.UNIFORM_OFFSET) : [];
+        let arrayStrides = numUniforms > 0 ? gl.getActiveUniforms(program, uniformIndices, CONSTANTS.UNIFORM_ARRAY_STRIDE) : [];
+        let matrixStrides = numUniforms > 0 ? gl.getActiveUniforms(program, uniformIndices, CONSTANTS.UNIFORM_MATRIX_STRIDE) : [];
+        let rowMajors = numUniforms > 0 ? gl.getActiveUniforms(program, uniformIndices, CONSTANTS.UNIFORM_IS_ROW_MAJOR) : [];
+        let uniformsByIndex = new Array(numUniforms);
+        let numUniformBlocks = gl.getProgramParameter(program, CONSTANTS.ACTIVE_UNIFORM_BLOCKS);
+        let blockNames = new Array(numUniformBlocks);
+
+        for (i = 0; i < numUniformBlocks; ++i) {
+            blockNames[i] = gl.getActiveUniformBlockName(program, i);
+        }
+
+        for (i = 0; i < numUniforms; ++i) {
+            let uniformInfo = gl.getActiveUniform(program, i);
+            let blockIndex = blockIndices[i];
+            let blockName = blockIndex === -1 ? null : blockNames[blockIndex];
+
+            uniformsByIndex[i] = uniforms[uniformInfo.name] = {
+                name: uniformInfo.name,
+                type: uniformInfo.type,
+                size: uniformInfo.size,
+                block: blockName,
+                offset: offsets[i],
+                arrayStride: arrayStrides[i],
+                matrixStride: matrixStrides[i],
+                rowMajor: rowMajors[i]
+            };
+        }
+
+        for (i = 0; i < numUniformBlocks; ++i) {
+            let blockName = blockNames[i];
+            let memberIndices = gl.getActiveUniformBlockParameter(program, i, CONSTANTS.UNIFORM_BLOCK_ACTIVE_UNIFORM_INDICES);
+            let members = [];
+
+            for (let j = 0, len = memberIndices.length; j < len; ++j) {
+                members.push(uniformsByIndex[memberIndices[j]]);
+            }
+
+            members.sort((a, b) => a.offset - b.offset);
+
+            uniformBlocks[blockName] = {
+                name: blockName,
+                index: i,
+                binding: this.uniformBlocks[blockName],
+                dataSize: gl.getActiveUniformBlockParameter(program, i, CONSTANTS.UNIFORM_BLOCK_DATA_SIZE),
+                members
+            };
+        }
+
+        this.reflection = {
+            attributes,
+            uniforms,
+            uniformBlocks
+        };
+
         return this;
     }
 
@@ -214,6 +443,8 @@ class Program {
         @return {Program} 程序对象。
     */
     delete() {
+        untrackResource(this);
+
         if (this.program) {
             this.gl.deleteProgram(this.program);
             this.program = null;
@@ -23,6 +23,8 @@
 
 "use strict";
 
+const untrackResource = require("./resources").untrackResource;
+
 /**
     通用查询对象。
 
@@ -114,6 +116,8 @@ class Query {
         @return {Query} 查询对象。
     */
     delete() {
+        untrackResource(this);
+
         if (this.query) {
             this.gl.deleteQuery(this.query);
             this.query = null;
@@ -0,0 +1,207 @@
+///////////////////////////////////////////////////////////////////////////////////
+// The MIT License (MIT)
+//
+// Copyright (c) 2017 Tarek Sherif
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy of
+// this software and associated documentation files (the "Software"), to deal in
+// the Software without restriction, including without limitation the rights to
+// use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of
+// the Software, and to permit persons to whom the Software is furnished to do so,
+// subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in all
+// copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS
+// FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR
+// COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER
+// IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN
+// CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+///////////////////////////////////////////////////////////////////////////////////
+
+"use strict";
+
+const CONSTANTS = require("./constants");
+
+// 跟踪的固定管线状态及其 GL 默认值。
+const DEFAULT_RENDER_STATE = {
+    blend: false,
+    blendSrcRGB: CONSTANTS.ONE,
+    blendDestRGB: CONSTANTS.ZERO,
+    blendSrcAlpha: CONSTANTS.ONE,
+    blendDestAlpha: CONSTANTS.ZERO,
+    depthTest: false,
+    depthFunc: CONSTANTS.LESS,
+    depthMask: true,
+    depthRangeNear: 0,
+    depthRangeFar: 1,
+    stencilTest: false,
+    stencilFrontFunc: CONSTANTS.ALWAYS,
+    stencilFrontRef: 0,
+    stencilFrontValueMask: 0xFFFFFFFF,
+    stencilBackFunc: CONSTANTS.ALWAYS,
+    stencilBackRef: 0,
+    stencilBackValueMask: 0xFFFFFFFF,
+    stencilFrontFail: CONSTANTS.KEEP,
+    stencilFrontDepthFail: CONSTANTS.KEEP,
+    stencilFrontPass: CONSTANTS.KEEP,
+    stencilBackFail: CONSTANTS.KEEP,
+    stencilBackDepthFail: CONSTANTS.KEEP,
+    stencilBackPass: CONSTANTS.KEEP,
+    stencilFrontWriteMask: 0xFFFFFFFF,
+    stencilBackWriteMask: 0xFFFFFFFF,
+    colorMaskRed: true,
+    colorMaskGreen: true,
+    colorMaskBlue: true,
+    colorMaskAlpha: true,
+    clearRed: 0,
+    clearGreen: 0,
+    clearBlue: 0,
+    clearAlpha: 0,
+    cullFace: false,
+    cullFaceMode: CONSTANTS.BACK,
+    rasterizerDiscard: false,
+    scissorTest: false,
+    scissorX: 0,
+    scissorY: 0,
+    scissorWidth: 0,
+    scissorHeight: 0,
+    viewportX: 0,
+    viewportY: 0,
+    viewportWidth: 0,
+    viewportHeight: 0
+};
+
+// 根据 enabled 开启或关闭一个 GL capability。
+function setCapability(gl, capability, enabled) {
+    if (enabled) {
+        gl.enable(capability);
+    } else {
+        gl.disable(capability);
+    }
+}
+
+// 渲染状态按 GL 调用分组。组内任一值改变时，整组通过一次 GL 调用提交。
+const RENDER_STATE_GROUPS = [
+    {
+        keys: [ "blend" ],
+        apply: (gl, state) => setCapability(gl, CONSTANTS.BLEND, state.blend)
+    },
+    {
+        keys: [ "blendSrcRGB", "blendDestRGB", "blendSrcAlpha", "blendDestAlpha" ],
+        apply: (gl, state) => gl.blendFuncSeparate(state.blendSrcRGB, state.blendDestRGB, state.blendSrcAlpha, state.blendDestAlpha)
+    },
+    {
+        keys: [ "depthTest" ],
+        apply: (gl, state) => setCapability(gl, CONSTANTS.DEPTH_TEST, state.depthTest)
+    },
+    {
+        keys: [ "depthFunc" ],
+        apply: (gl, state) => gl.depthFunc(state.depthFunc)
+    },
+    {
+        keys: [ "depthMask" ],
+        apply: (gl, state) => gl.depthMask(state.depthMask)
+    },
+    {
+        keys: [ "depthRangeNear", "depthRangeFar" ],
+        apply: (gl, state) => gl.depthRange(state.depthRangeNear, state.depthRangeFar)
+    },
+    {
+        keys: [ "stencilTest" ],
+        apply: (gl, state) => setCapability(gl, CONSTANTS.STENCIL_TEST, state.stencilTest)
+    },
+    {
+        keys: [ "stencilFrontFunc", "stencilFrontRef", "stencilFrontValueMask" ],
+        apply: (gl, state) => gl.stencilFuncSeparate(CONSTANTS.FRONT, state.stencilFrontFunc, state.stencilFrontRef, state.stencilFrontValueMask)
+    },
+    {
+        keys: [ "stencilBackFunc", "stencilBackRef", "stencilBackValueMask" ],
+        apply: (gl, state) => gl.stencilFuncSeparate(CONSTANTS.BACK, state.stencilBackFunc, state.stencilBackRef, state.stencilBackValueMask)
+    },
+    {
+        keys: [ "stencilFrontFail", "stencilFrontDepthFail", "stencilFrontPass" ],
+        apply: (gl, state) => gl.stencilOpSeparate(CONSTANTS.FRONT, state.stencilFrontFail, state.stencilFrontDepthFail, state.stencilFrontPass)
+    },
+    {
+        keys: [ "stencilBackFail", "stencilBackDepthFail", "stencilBackPass" ],
+        apply: (gl, state) => gl.stencilOpSeparate(CONSTANTS.BACK, state.stencilBackFail, state.stencilBackDepthFail, state.stencilBackPass)
+    },
+    {
+        keys: [ "stencilFrontWriteMask" ],
+        apply: (gl, state) => gl.stencilMaskSeparate(CONSTANTS.FRONT, state.stencilFrontWriteMask)
+    },
+    {
+        keys: [ "stencilBackWriteMask" ],
+        apply: (gl, state) => gl.stencilMaskSeparate(CONSTANTS.BACK, state.stencilBackWriteMask)
+    },
+    {
+        keys: [ "colorMaskRed", "colorMaskGreen", "colorMaskBlue", "colorMaskAlpha" ],
+        apply: (gl, state) => gl.colorMask(state.colorMaskRed, state.colorMaskGreen, state.colorMaskBlue, state.colorMaskAlpha)
+    },
+    {
+        keys: [ "clearRed", "clearGreen", "clearBlue", "clearAlpha" ],
+        apply: (gl, state) => gl.clearColor(state.clearRed, state.clearGreen, state.clearBlue, state.clearAlpha)
+    },
+    {
+        keys: [ "cullFace" ],
+        apply: (gl, state) => setCapability(gl, CONSTANTS.CULL_FACE, state.cullFace)
+    },
+    {
+        keys: [ "cullFaceMode" ],
+        apply: (gl, state) => gl.cullFace(state.cullFaceMode)
+    },
+    {
+        keys: [ "rasterizerDiscard" ],
+        apply: (gl, state) => setCapability(gl, CONSTANTS.RASTERIZER_DISCARD, state.rasterizerDiscard)
+    },
+    {
+        keys: [ "scissorTest" ],
+        apply: (gl, state) => setCapability(gl, CONSTANTS.SCISSOR_TEST, state.scissorTest)
+    },
+    {
+        keys: [ "scissorX", "scissorY", "scissorWidth", "scissorHeight" ],
+        apply: (gl, state) => gl.scissor(state.scissorX, state.scissorY, state.scissorWidth, state.scissorHeight)
+    },
+    {
+        keys: [ "viewportX", "viewportY", "viewportWidth", "viewportHeight" ],
+        apply: (gl, state) => gl.viewport(state.viewportX, state.viewportY, state.viewportWidth, state.viewportHeight)
+    }
+];
+
+// 将 renderState 中与跟踪状态不同的值更新到 state 并提交到 GL。
+// renderState 中缺失的属性保持不变。
+function setRenderState(gl, state, renderState) {
+    for (let i = 0, len = RENDER_STATE_GROUPS.length; i < len; ++i) {
+        let group = RENDER_STATE_GROUPS[i];
+        let keys = group.keys;
+        let changed = false;
+
+        for (let j = 0, numKeys = keys.length; j < numKeys; ++j) {
+            let key = keys[j];
+            let value = renderState[key];
+
+            if (value !== undefined && value !== state[key]) {
+                state[key] = value;
+                changed = true;
+            }
+        }
+
+        if (changed) {
+            group.apply(gl, state);
+        }
+    }
+}
+
+// 不做冗余检查，将跟踪的所有渲染状态提交到 GL。
+function applyRenderState(gl, state) {
+    for (let i = 0, len = RENDER_STATE_GROUPS.length; i < len; ++i) {
+        RENDER_STATE_GROUPS[i].apply(gl, state);
+    }
+}
+
+module.exports.DEFAULT_RENDER_STATE = DEFAULT_RENDER_STATE;
+module.exports.setRenderState = setRenderState;
+module.exports.applyRenderState = applyRenderState;
@@ -24,6 +24,7 @@
 "use strict";
 
 const CONSTANTS = require("./constants");
+const untrackResource = require("./resources").untrackResource;
 
 /**
     离屏绘图附件。
@@ -85,6 +86,8 @@ class Renderbuffer {
         @return {Renderbuffer} RenderBuffer 对象。
     */
     delete() {
+        untrackResource(this);
+
         this.gl.deleteRenderbuffer(this.renderbuffer);
         this.renderbuffer = null;
 
@@ -0,0 +1,51 @@
+///////////////////////////////////////////////////////////////////////////////////
+// The MIT License (MIT)
+//
+// Copyright (c) 2017 Tarek Sherif
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy of
+// this software and associated documentation files (the "Software"), to deal in
+// the Software without restriction, including without limitation the rights to
+// use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of
+// the Software, and to permit persons to whom the Software is furnished to do so,
+// subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in all
+// copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS
+// FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR
+// COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER
+// IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN
+// CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+///////////////////////////////////////////////////////////////////////////////////
+
+"use strict";
+
+// App 在创建对象时用 trackResource() 将其加入资源列表，以便在上下文恢复时重新创建。
+// 对象在 delete() 中调用 untrackResource() 将自己从列表中移除，避免已删除的对象
+// 一直被 App 引用，或者在上下文恢复时被重新创建。
+function trackResource(list, resource) {
+    list.push(resource);
+    resource.resourceList = list;
+
+    return resource;
+}
+
+function untrackResource(resource) {
+    let list = resource.resourceList;
+
+    if (list) {
+        let index = list.indexOf(resource);
+
+        if (index !== -1) {
+            list.splice(index, 1);
+        }
+
+        resource.resourceList = null;
+    }
+}
+
+module.exports.trackResource = trackResource;
+module.exports.untrackResource = untrackResource;
@@ -0,0 +1,231 @@
+///////////////////////////////////////////////////////////////////////////////////
+// The MIT License (MIT)
+//
+// Copyright (c) 2017 Tarek Sherif
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy of
+// this software and associated documentation files (the "Software"), to deal in
+// the Software without restriction, including without limitation the rights to
+// use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of
+// the Software, and to permit persons to whom the Software is furnished to do so,
+// subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in all
+// copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS
+// FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR
+// COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER
+// IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN
+// CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+///////////////////////////////////////////////////////////////////////////////////
+
+"use strict";
+
+const ShaderPreprocessor = require("./shader-preprocessor");
+
+// 驱动信息日志的常见格式
+// ANGLE 及大多数驱动: "ERROR: 0:12: 'foo' : undeclared identifier"
+const ANGLE_LOG_REGEX = /^(ERROR|WARNING):\s*\d+:(\d+):\s*(.*)$/i;
+// Mesa: "0:12(5): error: `foo' undeclared"
+const MESA_LOG_REGEX = /^\d+:(\d+)\((\d+)\):\s*(error|warning):\s*(.*)$/i;
+// 没有位置信息: "ERROR: Linking failed"
+const GENERIC_LOG_REGEX = /^(ERROR|WARNING):\s*(.*)$/i;
+
+const SNIPPET_CONTEXT_LINES = 2;
+
+/**
+    将驱动信息日志解析为结构化条目。行号会通过 lineMap 映射回原始代码片段。
+
+    @function
+    @ignore
+    @param {string} log 驱动信息日志。
+    @param {string} stage 阶段："vertex"、"fragment" 或 "link"。
+    @param {Array} [lineMap] 预处理器生成的行映射。
+    @return {Array} 条目数组，每个条目包含 stage、severity、line、column、chunk、
+        sourceLine（预处理后的行号）和 message。行号和列号未知时为 null。
+*/
+function parseInfoLog(log, stage, lineMap) {
+    let entries = [];
+    let lines = (log || "").split("\n");
+
+    for (let i = 0, len = lines.length; i < len; ++i) {
+        let text = lines[i].replace(/\0/g, "").trim();
+
+        if (text === "") {
+            continue;
+        }
+
+        let severity, sourceLine = null, column = null, message;
+        let match;
+
+        if ((match = ANGLE_LOG_REGEX.exec(text))) {
+            severity = match[1];
+            sourceLine = parseInt(match[2], 10);
+            message = match[3];
+        } else if ((match = MESA_LOG_REGEX.exec(text))) {
+            sourceLine = parseInt(match[1], 10);
+            column = parseInt(match[2], 10);
+            severity = match[3];
+            message = match[4];
+        } else if ((match = GENERIC_LOG_REGEX.exec(text))) {
+            severity = match[1];
+            message = match[2];
+        } else if (entries.length > 0) {
+            // 上一条信息的后续行
+            entries[entries.length - 1].message += `\n${text}`;
+            continue;
+        } else {
+            severity = "error";
+            message = text;
+        }
+
+        let chunk = null;
+        let line = sourceLine;
+
+        if (sourceLine !== null && lineMap && lineMap[sourceLine - 1]) {
+            chunk = lineMap[sourceLine - 1].chunk;
+            line = lineMap[sourceLine - 1].line;
+        }
+
+        entries.push({
+            stage,
+            severity: severity.toLowerCase(),
+            line,
+            column,
+            chunk,
+            sourceLine,
+            message
+        });
+    }
+
+    return entries;
+}
+
+/**
+    格式化单个条目，例如 "fragment lighting:12:5: error: 'foo' : undeclared identifier"。
+
+    @function
+    @ignore
+    @param {Object} entry parseInfoLog 返回的条目。
+    @return {string} 格式化的条目。
+*/
+function formatEntry(entry) {
+    let location = "";
+
+    if (entry.sourceLine !== null) {
+        location = ShaderPreprocessor.formatLocation(entry);
+
+        if (entry.column !== null) {
+            location += `:${entry.column}`;
+        }
+
+        location = ` ${location}`;
+    }
+
+    return `${entry.stage}${location}: ${entry.severity}: ${entry.message}`;
+}
+
+/**
+    生成带注释的源码片段：每个有行号的条目显示其前后几行，并标出出错的行。
+
+    @function
+    @ignore
+    @param {string} source 提交给驱动的（预处理后的）源码。
+    @param {Array} entries parseInfoLog 返回的条目。
+    @param {Array} [lineMap] 预处理器生成的行映射。
+    @return {string} 源码片段。
+*/
+function annotateSource(source, entries, lineMap) {
+    let lines = source.split("\n");
+    let snippets = [];
+    let annotated = {};
+
+    for (let i = 0, len = entries.length; i < len; ++i) {
+        let entry = entries[i];
+
+        if (entry.sourceLine === null || entry.sourceLine > lines.length || annotated[entry.sourceLine]) {
+            continue;
+        }
+
+        // 同一行的所有条目在同一个片段中标出
+        let lineEntries = entries.filter((e) => e.sourceLine === entry.sourceLine);
+        annotated[entry.sourceLine] = true;
+
+        let first = Math.max(entry.sourceLine - SNIPPET_CONTEXT_LINES, 1);
+        let last = Math.min(entry.sourceLine + SNIPPET_CONTEXT_LINES, lines.length);
+        let labels = [];
+        let width = 0;
+
+        for (let j = first; j <= last; ++j) {
+            let label = lineMap ? ShaderPreprocessor.formatLocation(lineMap[j - 1]) : String(j);
+            labels.push(label);
+            width = Math.max(width, label.length);
+        }
+
+        let snippet = [];
+
+        for (let j = first; j <= last; ++j) {
+            let marker = j === entry.sourceLine ? ">" : " ";
+            snippet.push(`${marker} ${labels[j - first].padStart(width)} | ${lines[j - 1]}`);
+
+            if (j === entry.sourceLine) {
+                for (let k = 0; k < lineEntries.length; ++k) {
+                    let column = lineEntries[k].column;
+                    let indent = column !== null ? " ".repeat(Math.max(column - 1, 0)) : "";
+                    snippet.push(`  ${" ".repeat(width)} | ${indent}^ ${lineEntries[k].message}`);
+                }
+            }
+        }
+
+        snippets.push(snippet.join("\n"));
+    }
+
+    return snippets.join("\n\n");
+}
+
+/**
+    着色器编译失败时（严格模式下）抛出的错误。
+
+    @class
+    @prop {string} stage 着色器阶段："vertex" 或 "fragment"。
+    @prop {Array} errors 结构化的编译错误条目。
+    @prop {string} snippet 带注释的源码片段。
+*/
+class ShaderCompileError extends Error {
+
+    constructor(stage, errors, snippet) {
+        super(`${stage} shader compilation failed:\n${errors.map(formatEntry).join("\n")}${snippet ? `\n\n${snippet}` : ""}`);
+        this.name = "ShaderCompileError";
+        this.stage = stage;
+        this.errors = errors;
+        this.snippet = snippet;
+    }
+
+}
+
+/**
+    程序链接失败时（严格模式下）抛出的错误。
+
+    @class
+    @prop {Array} errors 结构化的链接错误条目。
+    @prop {string} snippet 带注释的源码片段（链接错误通常没有行号，可能为空）。
+*/
+class ProgramLinkError extends Error {
+
+    constructor(errors, snippet) {
+        super(`Program link failed:\n${errors.map(formatEntry).join("\n")}${snippet ? `\n\n${snippet}` : ""}`);
+        this.name = "ProgramLinkError";
+        this.stage = "link";
+        this.errors = errors;
+        this.snippet = snippet;
+    }
+
+}
+
+module.exports.parseInfoLog = parseInfoLog;
+module.exports.formatEntry = formatEntry;
+module.exports.annotateSource = annotateSource;
+module.exports.ShaderCompileError = ShaderCompileError;
+module.exports.ProgramLinkError = ProgramLinkError;
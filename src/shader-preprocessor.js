@@ -0,0 +1,195 @@
+///////////////////////////////////////////////////////////////////////////////////
+// The MIT License (MIT)
+//
+// Copyright (c) 2017 Tarek Sherif
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy of
+// this software and associated documentation files (the "Software"), to deal in
+// the Software without restriction, including without limitation the rights to
+// use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of
+// the Software, and to permit persons to whom the Software is furnished to do so,
+// subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in all
+// copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS
+// FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR
+// COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER
+// IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN
+// CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+///////////////////////////////////////////////////////////////////////////////////
+
+"use strict";
+
+const CONSTANTS = require("./constants");
+
+const INCLUDE_REGEX = /^\s*#include\s+"([^"]+)"\s*$/;
+const VERSION_REGEX = /^\s*#version\s/;
+const EXTENSION_REGEX = /^\s*#extension\s/;
+const FLOAT_PRECISION_REGEX = /^\s*precision\s+\w+\s+float\s*;/m;
+
+// 着色器预处理：
+// 1. 如果源码中没有 #version 指令，添加 #version 300 es（已有的指令会被移到第一行，
+//    指令之前可以有注释和空行）。
+// 2. 根据 options.defines 注入 #define。
+// 3. 如果片元着色器没有声明 float 精度，添加精度声明。
+//    注入的代码位于源码开头的 #version 和 #extension 指令之后。
+// 4. 递归展开 #include "name"，每个代码片段只会被包含一次。未定义的代码片段会作为错误返回。
+//
+// 返回预处理后的源码、行映射和错误。lineMap[i] 记录输出第 i + 1 行对应的原始代码片段
+// （chunk 为 null 代表着色器本身的源码）和行号（0 代表由预处理器生成的行）。
+// errors 中的条目与 ShaderErrors.parseInfoLog() 返回的条目格式相同（例如包含了未定义的
+// 代码片段），由 Shader 作为编译错误报告。
+function preprocessShader(type, source, options = CONSTANTS.DUMMY_OBJECT) {
+    let {
+        chunks = CONSTANTS.DUMMY_OBJECT,
+        defines = CONSTANTS.DUMMY_OBJECT,
+        version = "300 es",
+        precision = "highp"
+    } = options;
+
+    let sourceLines = source.split("\n");
+    let lines = [];
+    let lineMap = [];
+    let errors = [];
+    let versionDirective = `#version ${version}`;
+    let versionLine = 0;
+    let headerLength = 0;
+    let commentState = { inBlockComment: false };
+
+    // 扫描源码开头的注释、空行、#version 和 #extension 指令
+    for (let i = 0, len = sourceLines.length; i < len; ++i) {
+        let code = stripComments(sourceLines[i], commentState).trim();
+
+        if (code === "") {
+            continue;
+        }
+
+        if (VERSION_REGEX.test(code) && versionLine === 0) {
+            versionDirective = code;
+            versionLine = i + 1;
+            sourceLines[i] = "";
+        } else if (EXTENSION_REGEX.test(code)) {
+            headerLength = i + 1;
+        } else {
+            break;
+        }
+    }
+
+    lines.push(versionDirective);
+    lineMap.push({ chunk: null, line: versionLine });
+
+    for (let i = 0; i < headerLength; ++i) {
+        lines.push(sourceLines[i]);
+        lineMap.push({ chunk: null, line: i + 1 });
+    }
+
+    for (let name in defines) {
+        lines.push(`#define ${name} ${defines[name]}`);
+        lineMap.push({ chunk: null, line: 0 });
+    }
+
+    if (type === CONSTANTS.FRAGMENT_SHADER && !FLOAT_PRECISION_REGEX.test(source)) {
+        lines.push(`precision ${precision} float;`);
+        lineMap.push({ chunk: null, line: 0 });
+    }
+
+    let stage = type === CONSTANTS.VERTEX_SHADER ? "vertex" : "fragment";
+    expandIncludes(sourceLines.slice(headerLength), null, chunks, {}, lines, lineMap, errors, stage, headerLength + 1);
+
+    return {
+        source: lines.join("\n"),
+        lineMap,
+        errors
+    };
+}
+
+// 将 sourceLines 写入 lines，遇到 #include 时递归展开对应的代码片段。
+// firstLine 是 sourceLines 第一行在原始代码中的行号。
+function expandIncludes(sourceLines, chunkName, chunks, included, lines, lineMap, errors, stage, firstLine = 1) {
+    for (let i = 0, len = sourceLines.length; i < len; ++i) {
+        let match = INCLUDE_REGEX.exec(sourceLines[i]);
+
+        if (match) {
+            let name = match[1];
+
+            if (included[name]) {
+                continue;
+            }
+
+            if (chunks[name] === undefined) {
+                // 保留为注释，使错误可以在源码片段中标出
+                lines.push(`// ${sourceLines[i].trim()}`);
+                lineMap.push({ chunk: chunkName, line: i + firstLine });
+                errors.push({
+                    stage,
+                    severity: "error",
+                    line: i + firstLine,
+                    column: null,
+                    chunk: chunkName,
+                    sourceLine: lines.length,
+                    message: `Shader chunk "${name}" is not defined.`
+                });
+                continue;
+            }
+
+            included[name] = true;
+            expandIncludes(chunks[name].split("\n"), name, chunks, included, lines, lineMap, errors, stage);
+        } else {
+            lines.push(sourceLines[i]);
+            lineMap.push({ chunk: chunkName, line: i + firstLine });
+        }
+    }
+}
+
+// 去掉一行中的注释。state.inBlockComment 记录跨行的块注释状态。
+function stripComments(line, state) {
+    let code = "";
+    let i = 0;
+
+    while (i < line.length) {
+        if (state.inBlockComment) {
+            let end = line.indexOf("*/", i);
+
+            if (end === -1) {
+                break;
+            }
+
+            state.inBlockComment = false;
+            i = end + 2;
+        } else {
+            let lineComment = line.indexOf("//", i);
+            let blockComment = line.indexOf("/*", i);
+
+            if (lineComment !== -1 && (blockComment === -1 || lineComment < blockComment)) {
+                code += line.slice(i, lineComment);
+                break;
+            }
+
+            if (blockComment === -1) {
+                code += line.slice(i);
+                break;
+            }
+
+            code += line.slice(i, blockComment) + " ";
+            state.inBlockComment = true;
+            i = blockComment + 2;
+        }
+    }
+
+    return code;
+}
+
+// 将行映射条目格式化为 "chunk:line"、"line" 或 "preprocessor"。
+function formatLocation(entry) {
+    if (!entry || entry.line === 0) {
+        return "preprocessor";
+    }
+
+    return entry.chunk === null ? String(entry.line) : `${entry.chunk}:${entry.line}`;
+}
+
+module.exports.preprocessShader = preprocessShader;
+module.exports.formatLocation = formatLocation;
@@ -24,6 +24,9 @@
 "use strict";
 
 const CONSTANTS = require("./constants");
+const ShaderPreprocessor = require("./shader-preprocessor");
+const ShaderErrors = require("./shader-errors");
+const untrackResource = require("./resources").untrackResource;
 
 /**
     WelGL 着色器。
@@ -31,40 +34,104 @@ const CONSTANTS = require("./constants");
     @class
     @prop {WebGLRenderingContext} gl WelGL 上下文。
     @prop {WebGLShader} shader 着色器。
+    @prop {string} source 着色器源码（预处理前），用于在上下文丢失后恢复。
+    @prop {Object} options 预处理选项（chunks、defines、version、precision）。
+    @prop {Array} lineMap 预处理后每一行对应的原始代码片段和行号。
+    @prop {string} compiledSource 预处理后提交给驱动的源码。
+    @prop {Array} errors 结构化的编译错误和警告（stage、line、column、severity、message），
+        行号为原始代码片段中的行号。编译成功时为空数组。
+    @prop {Object} appState 跟踪的GL状态。
 */
 class Shader {
     
-    constructor(gl, type, source) {
+    constructor(gl, appState, type, source, options = CONSTANTS.DUMMY_OBJECT, deferStatusCheck = false) {
         this.gl = gl;
+        this.appState = appState;
         this.shader = null;
         this.type = type;
+        this.source = source;
+        this.options = options;
+        this.lineMap = null;
+        this.compiledSource = null;
+        this.preprocessErrors = [];
+        this.errors = [];
 
-        this.restore(source);
+        if (deferStatusCheck) {
+            // 由 Program 在链接完成后检查编译状态，允许驱动并行编译
+            this.compile(source);
+        } else {
+            this.restore(source);
+        }
     }
 
     /**
         在上下文丢失后恢复着色器。
 
         @method
+        @param {string} [source] 包含 glsl 程序代码的字符串。默认使用创建时的源码。
+        @return {Shader} 着色器对象。
+        @throws {ShaderCompileError} 严格模式下编译失败时抛出。
+    */
+    restore(source = this.source) {
+        this.compile(source);
+
+        let error = this.checkCompileStatus();
+
+        if (error) {
+            if (this.appState.strictMode) {
+                this.delete();
+                throw error;
+            }
+
+            console.error(error.message);
+        }
+
+        return this;
+    }
+
+    /**
+        预处理并提交编译，不查询编译状态。
+
+        @method
+        @ignore
         @param {string} source 包含 glsl 程序代码的字符串。
         @return {Shader} 着色器对象。
     */
-    restore(source) {
+    compile(source) {
+        let preprocessed = ShaderPreprocessor.preprocessShader(this.type, source, this.options);
+
+        this.source = source;
+        this.lineMap = preprocessed.lineMap;
+        this.compiledSource = preprocessed.source;
+        this.preprocessErrors = preprocessed.errors;
+        this.errors = [];
         this.shader = this.gl.createShader(this.type);
-        this.gl.shaderSource(this.shader, source);
+        this.gl.shaderSource(this.shader, preprocessed.source);
         this.gl.compileShader(this.shader);
 
-        if (!this.gl.getShaderParameter(this.shader, CONSTANTS.COMPILE_STATUS)) {
-            let i, lines;
+        return this;
+    }
 
-            console.error(this.gl.getShaderInfoLog(this.shader));
-            lines = source.split("\n");
-            for (i = 0; i < lines.length; ++i) {
-                console.error(`${i + 1}: ${lines[i]}`);
-            }
+    /**
+        检查编译状态。失败时将信息日志解析到 errors。预处理错误（例如包含了未定义的
+        代码片段）即使驱动编译成功也视为编译失败。
+
+        @method
+        @ignore
+        @return {ShaderCompileError} 编译失败时返回错误对象，否则返回 null。
+    */
+    checkCompileStatus() {
+        let compiled = this.gl.getShaderParameter(this.shader, CONSTANTS.COMPILE_STATUS);
+
+        if (compiled && this.preprocessErrors.length === 0) {
+            return null;
         }
 
-        return this;
+        let stage = this.type === CONSTANTS.VERTEX_SHADER ? "vertex" : "fragment";
+        let logErrors = compiled ? [] : ShaderErrors.parseInfoLog(this.gl.getShaderInfoLog(this.shader), stage, this.lineMap);
+        this.errors = this.preprocessErrors.concat(logErrors);
+
+        return new ShaderErrors.ShaderCompileError(stage, this.errors, ShaderErrors.annotateSource(this.compiledSource, this.errors, this.lineMap));
     }
 
     /**
@@ -74,6 +141,8 @@ class Shader {
         @return {Shader} 着色器对象。
     */
     delete() {
+        untrackResource(this);
+
         if (this.shader) {
             this.gl.deleteShader(this.shader);
             this.shader = null;
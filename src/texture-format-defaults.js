@@ -34,6 +34,18 @@ const TEXTURE_FORMAT_DEFAULTS = {
         [CONSTANTS.DEPTH_COMPONENT]: CONSTANTS.DEPTH_COMPONENT16
     },
 
+    [CONSTANTS.UNSIGNED_INT]: {
+        [CONSTANTS.DEPTH_COMPONENT]: CONSTANTS.DEPTH_COMPONENT24
+    },
+
+    [CONSTANTS.UNSIGNED_INT_24_8]: {
+        [CONSTANTS.DEPTH_STENCIL]: CONSTANTS.DEPTH24_STENCIL8
+    },
+
+    [CONSTANTS.FLOAT_32_UNSIGNED_INT_24_8_REV]: {
+        [CONSTANTS.DEPTH_STENCIL]: CONSTANTS.DEPTH32F_STENCIL8
+    },
+
     [CONSTANTS.FLOAT]: {
         [CONSTANTS.RED]: CONSTANTS.R16F,
         [CONSTANTS.RG]: CONSTANTS.RG16F,
@@ -42,6 +54,12 @@ const TEXTURE_FORMAT_DEFAULTS = {
         [CONSTANTS.DEPTH_COMPONENT]: CONSTANTS.DEPTH_COMPONENT32F
     },
 
+    // 未指定类型时各格式使用的默认类型（其他格式为 UNSIGNED_BYTE）
+    DEFAULT_TYPES: {
+        [CONSTANTS.DEPTH_COMPONENT]: CONSTANTS.UNSIGNED_SHORT,
+        [CONSTANTS.DEPTH_STENCIL]: CONSTANTS.UNSIGNED_INT_24_8
+    },
+
     COMPRESSED_TYPES: {}
 };
 
@@ -25,6 +25,7 @@
 
 const CONSTANTS = require("./constants");
 const TEXTURE_FORMAT_DEFAULTS = require("./texture-format-defaults");
+const untrackResource = require("./resources").untrackResource;
 
 const DUMMY_ARRAY = new Array(1);
 
@@ -47,11 +48,12 @@ const DUMMY_ARRAY = new Array(1);
     @prop {boolean} flipY 贴图的Y坐标是否翻转。
     @prop {boolean} premultiplyAlpha 是否在加载时对贴图的alpha进行预乘。
     @prop {boolean} mipmaps 贴图是否使用 mipmap 过滤（并因此需要一条完整的 mipmap 链）。
+    @prop {DOMElement|ArrayBufferView|Array} retainedData 最近一次设定的图像数据，用于在上下文丢失后恢复。
     @prop {Object} appState 跟踪的GL状态。
 */
 class Texture {
     constructor(gl, appState, binding, image, width = image.width, height = image.height, depth, is3D, options = CONSTANTS.DUMMY_OBJECT) {
-        let defaultType = options.format === CONSTANTS.DEPTH_COMPONENT ? CONSTANTS.UNSIGNED_SHORT : CONSTANTS.UNSIGNED_BYTE;
+        let defaultType = TEXTURE_FORMAT_DEFAULTS.DEFAULT_TYPES[options.format] || CONSTANTS.UNSIGNED_BYTE;
 
         this.gl = gl;
         this.binding = binding;
@@ -110,6 +112,7 @@ class Texture {
         this.flipY = flipY;
         this.premultiplyAlpha = premultiplyAlpha;
         this.mipmaps = (minFilter === CONSTANTS.LINEAR_MIPMAP_NEAREST || minFilter === CONSTANTS.LINEAR_MIPMAP_LINEAR);
+        this.retainedData = null;
 
         this.restore(image);
     }
@@ -120,9 +123,10 @@ class Texture {
         @method
         @param {DOMElement|ArrayBufferView|Array} [image] 图像数据。 可以传入一个数组设定所有等级的 mipmap 链。如果启
             用 mipmap 过滤后只传入了单一的等级，将会调用 generateMipmap() 生成其余等级的 mipmap 。
+            默认使用保留的图像数据。
         @return {Texture} 贴图对象。
     */
-    restore(image) {
+    restore(image = this.retainedData) {
         this.texture = null;
         this.resize(this.width, this.height, this.depth);
 
@@ -154,6 +158,11 @@ class Texture {
             this.appState.textures[this.currentUnit] = null;
         }
 
+        // 尺寸改变后保留的图像数据不再有效
+        if (width !== this.width || height !== this.height || depth !== this.depth) {
+            this.retainedData = null;
+        }
+
         this.texture = this.gl.createTexture();
         this.bind(Math.max(this.currentUnit, 0));
 
@@ -214,6 +223,8 @@ class Texture {
         @return {Texture} 贴图对象。
     */
     data(data) {
+        this.retainedData = data;
+
         if (!Array.isArray(data)) {
             DUMMY_ARRAY[0] = data;
             data = DUMMY_ARRAY;
@@ -272,6 +283,8 @@ class Texture {
         @return {Texture} 贴图对象。
     */
     delete() {
+        untrackResource(this);
+
         if (this.texture) {
             this.gl.deleteTexture(this.texture);
             this.texture = null;
@@ -25,6 +25,7 @@
 
 const CONSTANTS = require("./constants");
 const Query = require("./query");
+const untrackResource = require("./resources").untrackResource;
 
 /**
     渲染计时器。
@@ -155,6 +156,8 @@ class Timer {
         @return {Timer} 计时器对象。
     */
     delete() {
+        untrackResource(this);
+
         if (this.gpuTimerQuery) {
             this.gpuTimerQuery.delete();
             this.gpuTimerQuery = null;
@@ -23,6 +23,8 @@
 
 "use strict";
 
+const untrackResource = require("./resources").untrackResource;
+
 /**
     变换回传（Tranform feedback）对象。
 
@@ -58,8 +60,16 @@ class TransformFeedback {
 
         this.transformFeedback = this.gl.createTransformFeedback();
 
+        // 重新绑定已记录的回传缓冲
+        let buffers = this.angleBugBuffers.slice();
         this.angleBugBuffers.length = 0;
 
+        for (let i = 0, len = buffers.length; i < len; ++i) {
+            if (buffers[i]) {
+                this.feedbackBuffer(i, buffers[i]);
+            }
+        }
+
         return this;
     }
 
@@ -88,6 +98,8 @@ class TransformFeedback {
         @return {TransformFeedback} 变换回传对象。
     */
     delete() {
+        untrackResource(this);
+
         if (this.transformFeedback) {
             this.gl.deleteTransformFeedback(this.transformFeedback);
             this.transformFeedback = null;
@@ -0,0 +1,283 @@
+///////////////////////////////////////////////////////////////////////////////////
+// The MIT License (MIT)
+//
+// Copyright (c) 2017 Tarek Sherif
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy of
+// this software and associated documentation files (the "Software"), to deal in
+// the Software without restriction, including without limitation the rights to
+// use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of
+// the Software, and to permit persons to whom the Software is furnished to do so,
+// subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in all
+// copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS
+// FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR
+// COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER
+// IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN
+// CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+///////////////////////////////////////////////////////////////////////////////////
+
+"use strict";
+
+const CONSTANTS = require("./constants");
+const untrackResource = require("./resources").untrackResource;
+
+/**
+    A large uniform buffer that hands out aligned slices for per-draw uniform data.
+    The buffer is split into numFrames regions that are used in rotation, so
+    data written for the next frame never overwrites data the GPU may still
+    be reading for the current one. Slices are bound with bindBufferRange
+    through DrawCall.uniformBlock(name, arena, offset).
+
+    @class
+    @prop {WebGLRenderingContext} gl The WebGL context.
+    @prop {WebGLBuffer} buffer Allocated buffer storage.
+    @prop {Float32Array} data Buffer data.
+    @prop {Uint8Array} bytes Byte view of the buffer data.
+    @prop {Object} dataViews Map of base data types to matching ArrayBufferViews of the buffer data.
+    @prop {number} frameSize Size of each frame region in bytes (aligned).
+    @prop {number} numFrames Number of frame regions.
+    @prop {number} frame Index of the current frame region.
+    @prop {number} alignment Alignment of slices in bytes (UNIFORM_BUFFER_OFFSET_ALIGNMENT).
+    @prop {number} cursor Byte offset of the next free slice.
+    @prop {Object} sliceSizes Map of slice offsets to the number of bytes reserved for them.
+    @prop {GLEnum} usage Usage pattern of the buffer.
+*/
+class UniformArena {
+
+    constructor(gl, appState, frameSize, numFrames = 3, usage = gl.DYNAMIC_DRAW) {
+        this.gl = gl;
+        this.appState = appState;
+        this.buffer = null;
+        this.alignment = CONSTANTS.WEBGL_INFO.UNIFORM_BUFFER_OFFSET_ALIGNMENT || 256;
+        this.frameSize = alignOffset(frameSize, this.alignment);
+        this.numFrames = numFrames;
+        this.frame = 0;
+        this.cursor = 0;
+        this.usage = usage;
+        this.data = new Float32Array(this.frameSize * numFrames / 4);
+        this.bytes = new Uint8Array(this.data.buffer);
+        this.dataViews = {};
+        this.dataViews[CONSTANTS.FLOAT] = this.data;
+        this.dataViews[CONSTANTS.INT] = new Int32Array(this.data.buffer);
+        this.dataViews[CONSTANTS.UNSIGNED_INT] = new Uint32Array(this.data.buffer);
+        this.dirtyStart = 0;
+        this.dirtyEnd = 0;
+        this.sliceSizes = {};
+
+        // Slice currently bound at each base
+        this.boundOffsets = {};
+        this.boundSizes = {};
+
+        this.restore();
+    }
+
+    /**
+        Restore arena after context loss.
+
+        @method
+        @return {UniformArena} The UniformArena object.
+    */
+    restore() {
+        for (let base in this.boundOffsets) {
+            if (this.appState.uniformBuffers[base] === this) {
+                this.appState.uniformBuffers[base] = null;
+            }
+        }
+
+        this.boundOffsets = {};
+        this.boundSizes = {};
+
+        this.buffer = this.gl.createBuffer();
+        this.gl.bindBuffer(CONSTANTS.UNIFORM_BUFFER, this.buffer);
+        this.gl.bufferData(CONSTANTS.UNIFORM_BUFFER, this.data, this.usage);
+        this.gl.bindBuffer(CONSTANTS.UNIFORM_BUFFER, null);
+
+        this.dirtyStart = 0;
+        this.dirtyEnd = 0;
+
+        return this;
+    }
+
+    /**
+        Reserve an aligned slice in the current frame region. The slice can be
+        filled through the data views before the next draw.
+
+        @method
+        @param {number} size Size of the slice in bytes. Must be at least the dataSize
+            of the uniform block the slice will be bound to.
+        @return {number} Byte offset of the slice in the arena, or -1 if the
+            current frame region is full.
+    */
+    allocate(size) {
+        let frameStart = this.frame * this.frameSize;
+        let offset = alignOffset(this.cursor, this.alignment);
+
+        if (offset + size > frameStart + this.frameSize) {
+            console.error("Uniform arena frame is full.");
+            return -1;
+        }
+
+        this.cursor = offset + size;
+        this.sliceSizes[offset] = size;
+
+        if (this.dirtyEnd > this.dirtyStart) {
+            this.dirtyEnd = offset + size;
+        } else {
+            this.dirtyStart = offset;
+            this.dirtyEnd = offset + size;
+        }
+
+        return offset;
+    }
+
+    /**
+        Copy data into a new slice in the current frame region. NOTE: Data is
+        sent to the GPU when a DrawCall using the slice is drawn.
+
+        @method
+        @param {ArrayBufferView|UniformBuffer} data Data to copy. If a UniformBuffer
+            is given, its stored data is copied.
+        @param {number} [size=data.byteLength] Number of bytes to reserve for the slice.
+            Pass the dataSize of the uniform block if the data is smaller.
+        @return {number} Byte offset of the slice in the arena, or -1 if the
+            current frame region is full.
+    */
+    write(data, size = 0) {
+        if (data.data) {
+            data = data.data;
+        }
+
+        let offset = this.allocate(Math.max(size, data.byteLength));
+
+        if (offset !== -1) {
+            this.bytes.set(new Uint8Array(data.buffer, data.byteOffset, data.byteLength), offset);
+        }
+
+        return offset;
+    }
+
+    /**
+        Move to the next frame region. Slices allocated in the previous
+        numFrames - 1 frames stay valid.
+
+        @method
+        @return {UniformArena} The UniformArena object.
+    */
+    nextFrame() {
+        this.flush();
+        this.frame = (this.frame + 1) % this.numFrames;
+        this.cursor = this.frame * this.frameSize;
+
+        // Forget slices from the last time this region was used
+        let frameEnd = this.cursor + this.frameSize;
+
+        for (let offset in this.sliceSizes) {
+            if (offset >= this.cursor && offset < frameEnd) {
+                delete this.sliceSizes[offset];
+            }
+        }
+
+        return this;
+    }
+
+    /**
+        Send data written since the last upload to the GPU. Called automatically
+        by DrawCall.draw() before the arena is bound.
+
+        @method
+        @ignore
+        @return {UniformArena} The UniformArena object.
+    */
+    flush() {
+        if (this.dirtyEnd > this.dirtyStart) {
+            this.gl.bindBuffer(CONSTANTS.UNIFORM_BUFFER, this.buffer);
+            this.gl.bufferSubData(CONSTANTS.UNIFORM_BUFFER, this.dirtyStart, this.bytes.subarray(this.dirtyStart, this.dirtyEnd));
+            this.gl.bindBuffer(CONSTANTS.UNIFORM_BUFFER, null);
+
+            this.dirtyStart = 0;
+            this.dirtyEnd = 0;
+        }
+
+        return this;
+    }
+
+    /**
+        Delete this arena.
+
+        @method
+        @return {UniformArena} The UniformArena object.
+    */
+    delete() {
+        untrackResource(this);
+
+        if (this.buffer) {
+            this.gl.deleteBuffer(this.buffer);
+            this.buffer = null;
+
+            for (let base in this.boundOffsets) {
+                if (this.appState.uniformBuffers[base] === this) {
+                    this.appState.uniformBuffers[base] = null;
+                }
+            }
+
+            this.boundOffsets = {};
+            this.boundSizes = {};
+        }
+
+        return this;
+    }
+
+    /**
+        Number of bytes reserved for the slice at the given offset.
+
+        @method
+        @ignore
+        @param {number} offset Byte offset of the slice.
+        @return {number} Size of the slice in bytes, or undefined if no slice was
+            allocated at the offset.
+    */
+    sliceSize(offset) {
+        return this.sliceSizes[offset];
+    }
+
+    /**
+        Bind a slice of this arena to the given base.
+
+        @method
+        @ignore
+        @param {number} base Uniform buffer base.
+        @param {number} [offset=0] Byte offset of the slice.
+        @param {number} size Size of the slice in bytes.
+        @return {UniformArena} The UniformArena object.
+    */
+    bind(base, offset = 0, size) {
+        let currentBuffer = this.appState.uniformBuffers[base];
+
+        if (currentBuffer !== this || this.boundOffsets[base] !== offset || this.boundSizes[base] !== size) {
+            if (currentBuffer && currentBuffer !== this && currentBuffer.currentBase === base) {
+                currentBuffer.currentBase = -1;
+            }
+
+            this.gl.bindBufferRange(CONSTANTS.UNIFORM_BUFFER, base, this.buffer, offset, size);
+
+            this.appState.uniformBuffers[base] = this;
+            this.boundOffsets[base] = offset;
+            this.boundSizes[base] = size;
+        }
+
+        return this;
+    }
+
+}
+
+// Round offset up to a multiple of alignment.
+function alignOffset(offset, alignment) {
+    return Math.ceil(offset / alignment) * alignment;
+}
+
+module.exports = UniformArena;
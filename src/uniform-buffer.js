@@ -24,6 +24,36 @@
 "use strict";
 
 const CONSTANTS = require("./constants");
+const untrackResource = require("./resources").untrackResource;
+
+// Base data type, components per column and number of columns of each GL type
+// that can be stored in a uniform block.
+const TYPE_LAYOUTS = {};
+TYPE_LAYOUTS[CONSTANTS.FLOAT] = [ CONSTANTS.FLOAT, 1, 1 ];
+TYPE_LAYOUTS[CONSTANTS.INT] = [ CONSTANTS.INT, 1, 1 ];
+TYPE_LAYOUTS[CONSTANTS.UNSIGNED_INT] = [ CONSTANTS.UNSIGNED_INT, 1, 1 ];
+TYPE_LAYOUTS[CONSTANTS.BOOL] = [ CONSTANTS.UNSIGNED_INT, 1, 1 ];
+TYPE_LAYOUTS[CONSTANTS.FLOAT_VEC2] = [ CONSTANTS.FLOAT, 2, 1 ];
+TYPE_LAYOUTS[CONSTANTS.INT_VEC2] = [ CONSTANTS.INT, 2, 1 ];
+TYPE_LAYOUTS[CONSTANTS.UNSIGNED_INT_VEC2] = [ CONSTANTS.UNSIGNED_INT, 2, 1 ];
+TYPE_LAYOUTS[CONSTANTS.BOOL_VEC2] = [ CONSTANTS.UNSIGNED_INT, 2, 1 ];
+TYPE_LAYOUTS[CONSTANTS.FLOAT_VEC3] = [ CONSTANTS.FLOAT, 3, 1 ];
+TYPE_LAYOUTS[CONSTANTS.INT_VEC3] = [ CONSTANTS.INT, 3, 1 ];
+TYPE_LAYOUTS[CONSTANTS.UNSIGNED_INT_VEC3] = [ CONSTANTS.UNSIGNED_INT, 3, 1 ];
+TYPE_LAYOUTS[CONSTANTS.BOOL_VEC3] = [ CONSTANTS.UNSIGNED_INT, 3, 1 ];
+TYPE_LAYOUTS[CONSTANTS.FLOAT_VEC4] = [ CONSTANTS.FLOAT, 4, 1 ];
+TYPE_LAYOUTS[CONSTANTS.INT_VEC4] = [ CONSTANTS.INT, 4, 1 ];
+TYPE_LAYOUTS[CONSTANTS.UNSIGNED_INT_VEC4] = [ CONSTANTS.UNSIGNED_INT, 4, 1 ];
+TYPE_LAYOUTS[CONSTANTS.BOOL_VEC4] = [ CONSTANTS.UNSIGNED_INT, 4, 1 ];
+TYPE_LAYOUTS[CONSTANTS.FLOAT_MAT2] = [ CONSTANTS.FLOAT, 2, 2 ];
+TYPE_LAYOUTS[CONSTANTS.FLOAT_MAT2x3] = [ CONSTANTS.FLOAT, 3, 2 ];
+TYPE_LAYOUTS[CONSTANTS.FLOAT_MAT2x4] = [ CONSTANTS.FLOAT, 4, 2 ];
+TYPE_LAYOUTS[CONSTANTS.FLOAT_MAT3] = [ CONSTANTS.FLOAT, 3, 3 ];
+TYPE_LAYOUTS[CONSTANTS.FLOAT_MAT3x2] = [ CONSTANTS.FLOAT, 2, 3 ];
+TYPE_LAYOUTS[CONSTANTS.FLOAT_MAT3x4] = [ CONSTANTS.FLOAT, 4, 3 ];
+TYPE_LAYOUTS[CONSTANTS.FLOAT_MAT4] = [ CONSTANTS.FLOAT, 4, 4 ];
+TYPE_LAYOUTS[CONSTANTS.FLOAT_MAT4x2] = [ CONSTANTS.FLOAT, 2, 4 ];
+TYPE_LAYOUTS[CONSTANTS.FLOAT_MAT4x3] = [ CONSTANTS.FLOAT, 3, 4 ];
 
 /**
     存储 uniform 数据。数据以 std140 布局存储。
@@ -36,6 +66,10 @@ const CONSTANTS = require("./constants");
     @prop {Array} offsets Offsets into the array for each item in the buffer.
     @prop {Array} sizes Size of the item at the given offset.
     @prop {Array} types The base type of the item at the given offset (FLOAT, INT or UNSIGNED_INT).
+    @prop {Array} arrayStrides Stride between array elements of the item at the given offset (0 if not an array).
+    @prop {Object} names Map of item names to their index in the layout.
+    @prop {number} dirtyStart Start of the range modified by set() since the last upload (in 4-byte items).
+    @prop {number} dirtyEnd End of the range modified by set() since the last upload (in 4-byte items).
     @prop {number} size The size of the buffer (in 4-byte items).
     @prop {GLEnum} usage Usage pattern of the buffer.
 */
@@ -45,113 +79,26 @@ class UniformBuffer {
         this.gl = gl;
         this.buffer = null;
         this.dataViews = {};
-        this.offsets = new Array(layout.length);
-        this.sizes = new Array(layout.length);
-        this.types = new Array(layout.length);
+        this.offsets = null;
+        this.sizes = null;
+        this.types = null;
+        this.arrayStrides = null;
+        this.names = {};
         this.size = 0;
+        this.dirtyStart = 0;
+        this.dirtyEnd = 0;
         this.usage = usage;
         this.appState = appState;
 
         // -1 indicates unbound
         this.currentBase = -1;
 
-        for (let i = 0, len = layout.length; i < len; ++i) {
-            let type = layout[i];
-            switch(type) {
-                case CONSTANTS.FLOAT:
-                case CONSTANTS.INT:
-                case CONSTANTS.UNSIGNED_INT:
-                case CONSTANTS.BOOL:
-                    this.offsets[i] = this.size;
-                    this.sizes[i] = 1;
-
-                    if (type === CONSTANTS.INT) {
-                        this.types[i] = CONSTANTS.INT;
-                    } else if (this.type === CONSTANTS.UNSIGNED_INT) {
-                        this.types[i] = CONSTANTS.UNSIGNED_INT;
-                    } else {
-                        this.types[i] = CONSTANTS.FLOAT;
-                    }
-
-                    this.size++;
-                    break;
-                case CONSTANTS.FLOAT_VEC2:
-                case CONSTANTS.INT_VEC2:
-                case CONSTANTS.UNSIGNED_INT_VEC2:
-                case CONSTANTS.BOOL_VEC2:
-                    this.size += this.size % 2;
-                    this.offsets[i] = this.size;
-                    this.sizes[i] = 2;
-
-                    if (type === CONSTANTS.INT_VEC2) {
-                        this.types[i] = CONSTANTS.INT;
-                    } else if (this.type === CONSTANTS.UNSIGNED_INT_VEC2) {
-                        this.types[i] = CONSTANTS.UNSIGNED_INT;
-                    } else {
-                        this.types[i] = CONSTANTS.FLOAT;
-                    }
-
-                    this.size += 2;
-                    break;
-                case CONSTANTS.FLOAT_VEC3:
-                case CONSTANTS.INT_VEC3:
-                case CONSTANTS.UNSIGNED_INT_VEC3:
-                case CONSTANTS.BOOL_VEC3:
-                case CONSTANTS.FLOAT_VEC4:
-                case CONSTANTS.INT_VEC4:
-                case CONSTANTS.UNSIGNED_INT_VEC4:
-                case CONSTANTS.BOOL_VEC4:
-                    this.size += (4 - this.size % 4) % 4;
-                    this.offsets[i] = this.size;
-                    this.sizes[i] = 4;
-
-                    if (type === CONSTANTS.INT_VEC4 || type === CONSTANTS.INT_VEC3) {
-                        this.types[i] = CONSTANTS.INT;
-                    } else if (this.type === CONSTANTS.UNSIGNED_INT_VEC4 || this.type === CONSTANTS.UNSIGNED_INT_VEC3) {
-                        this.types[i] = CONSTANTS.UNSIGNED_INT;
-                    } else {
-                        this.types[i] = CONSTANTS.FLOAT;
-                    }
-
-                    this.size += 4;
-                    break;
-                case CONSTANTS.FLOAT_MAT2:
-                case CONSTANTS.FLOAT_MAT2x3:
-                case CONSTANTS.FLOAT_MAT2x4:
-                    this.size += (4 - this.size % 4) % 4;
-                    this.offsets[i] = this.size;
-                    this.sizes[i] = 8;
-                    this.types[i] = CONSTANTS.FLOAT;
-
-                    this.size += 8;
-                    break;
-                case CONSTANTS.FLOAT_MAT3:
-                case CONSTANTS.FLOAT_MAT3x2:
-                case CONSTANTS.FLOAT_MAT3x4:
-                    this.size += (4 - this.size % 4) % 4;
-                    this.offsets[i] = this.size;
-                    this.sizes[i] = 12;
-                    this.types[i] = CONSTANTS.FLOAT;
-
-                    this.size += 12;
-                    break;
-                case CONSTANTS.FLOAT_MAT4:
-                case CONSTANTS.FLOAT_MAT4x2:
-                case CONSTANTS.FLOAT_MAT4x3:
-                    this.size += (4 - this.size % 4) % 4;
-                    this.offsets[i] = this.size;
-                    this.sizes[i] = 16;
-                    this.types[i] = CONSTANTS.FLOAT;
-
-                    this.size += 16;
-                    break;
-                default:
-                    console.error("Unsupported type for uniform buffer.");
-            }
+        if (Array.isArray(layout)) {
+            this.std140Layout(layout);
+        } else {
+            this.blockLayout(layout);
         }
 
-        this.size += (4 - this.size % 4) % 4;
-
         this.data = new Float32Array(this.size);
         this.dataViews[CONSTANTS.FLOAT] = this.data;
         this.dataViews[CONSTANTS.INT] = new Int32Array(this.data.buffer);
@@ -161,7 +108,132 @@ class UniformBuffer {
     }
 
     /**
-        Restore uniform buffer after context loss.
+        Compute std140 offsets for a hand-written layout. Structs are flattened
+        so each member of a struct gets its own index in the layout.
+
+        @method
+        @ignore
+        @param {Array} layout Array of GL types or array/struct descriptions.
+        @return {UniformBuffer} The UniformBuffer object.
+    */
+    std140Layout(layout) {
+        this.offsets = [];
+        this.sizes = [];
+        this.types = [];
+        this.arrayStrides = [];
+        this.size = roundUp(this.addStd140Members(layout, 0, "", 0, 1), 4);
+
+        return this;
+    }
+
+    /**
+        Add the members of a layout (or struct) starting at the given offset.
+        outerStride and outerLength describe an enclosing array of structs, if any.
+
+        @method
+        @ignore
+        @return {number} The offset after the last member.
+    */
+    addStd140Members(layout, offset, prefix, outerStride, outerLength) {
+        for (let i = 0, len = layout.length; i < len; ++i) {
+            let entry = typeof layout[i] === "object" ? layout[i] : { type: layout[i] };
+            let { alignment, size, stride } = std140Measure(entry);
+            let name = entry.name !== undefined ? `${prefix}${entry.name}` : null;
+
+            if (size === 0) {
+                console.error("Unsupported type for uniform buffer.");
+                continue;
+            }
+
+            offset = roundUp(offset, alignment);
+
+            if (entry.length !== undefined && outerStride > 0) {
+                // Nested array inside an array of structs: give each element its own index.
+                for (let j = 0; j < entry.length; ++j) {
+                    let element = Object.assign({}, entry, { length: undefined, name: name !== null ? `${entry.name}[${j}]` : undefined });
+                    this.addStd140Members([ element ], offset + j * stride, prefix, outerStride, outerLength);
+                }
+            } else if (entry.struct) {
+                let arrayed = entry.length !== undefined;
+                let memberPrefix = name !== null ? `${name}.` : prefix;
+
+                this.addStd140Members(entry.struct, offset, memberPrefix, arrayed ? stride : outerStride, arrayed ? entry.length : outerLength);
+            } else {
+                let arrayed = entry.length !== undefined;
+                let arrayStride = arrayed ? stride : outerStride;
+                let arrayLength = arrayed ? entry.length : outerLength;
+                let index = this.offsets.length;
+
+                this.offsets.push(offset);
+                this.sizes.push((arrayLength - 1) * arrayStride + std140Measure({ type: entry.type }).size);
+                this.types.push(TYPE_LAYOUTS[entry.type][0]);
+                this.arrayStrides.push(arrayStride);
+
+                if (name !== null) {
+                    this.names[name] = index;
+                }
+            }
+
+            offset += size;
+        }
+
+        return offset;
+    }
+
+    /**
+        Use the offsets queried from a linked program for a uniform block.
+
+        @method
+        @ignore
+        @param {Object} block Uniform block reflection (see Program.reflection.uniformBlocks).
+        @return {UniformBuffer} The UniformBuffer object.
+    */
+    blockLayout(block) {
+        let members = block.members;
+        let prefix = `${block.name}.`;
+
+        this.offsets = new Array(members.length);
+        this.sizes = new Array(members.length);
+        this.types = new Array(members.length);
+        this.arrayStrides = new Array(members.length);
+        this.size = block.dataSize / 4;
+
+        for (let i = 0, len = members.length; i < len; ++i) {
+            let member = members[i];
+            let [ baseType, rows, columns ] = TYPE_LAYOUTS[member.type];
+            let elementSize = rows;
+
+            if (columns > 1) {
+                elementSize = (member.rowMajor ? rows : columns) * member.matrixStride / 4;
+            }
+
+            this.offsets[i] = member.offset / 4;
+            this.sizes[i] = (member.size - 1) * member.arrayStride / 4 + elementSize;
+            this.types[i] = baseType;
+            this.arrayStrides[i] = member.size > 1 ? member.arrayStride / 4 : 0;
+
+            // Members of blocks with an instance name are reported as "Block.member",
+            // and arrays as "member[0]". Allow lookup with or without either.
+            let name = member.name;
+            this.names[name] = i;
+
+            if (name.indexOf(prefix) === 0) {
+                name = name.slice(prefix.length);
+                this.names[name] = i;
+            }
+
+            if (name.slice(-3) === "[0]") {
+                this.names[name.slice(0, -3)] = i;
+                this.names[member.name.slice(0, -3)] = i;
+            }
+        }
+
+        return this;
+    }
+
+    /**
+        Restore uniform buffer after context loss. The data currently stored
+        in the buffer is re-uploaded.
 
         @method
         @return {UniformBuffer} The UniformBuffer object.
@@ -173,9 +245,12 @@ class UniformBuffer {
 
         this.buffer = this.gl.createBuffer();
         this.gl.bindBuffer(CONSTANTS.UNIFORM_BUFFER, this.buffer);
-        this.gl.bufferData(CONSTANTS.UNIFORM_BUFFER, this.size * 4, this.usage);
+        this.gl.bufferData(CONSTANTS.UNIFORM_BUFFER, this.data, this.usage);
         this.gl.bindBuffer(CONSTANTS.UNIFORM_BUFFER, null);
 
+        this.dirtyStart = 0;
+        this.dirtyEnd = 0;
+
         return this;
     }
 
@@ -184,46 +259,98 @@ class UniformBuffer {
         sent the the GPU until the update() method is called!
 
         @method
-        @param {number} index Index in the layout of item to set.
+        @param {number|string} index Index in the layout or name of item to set.
+        @param {number} [arrayIndex] Element of an array item (or of an array of structs) to set.
+                If omitted, value is stored starting at the first element.
         @param {ArrayBufferView} value Value to store at the layout location.
         @return {UniformBuffer} The UniformBuffer object.
     */
-    set(index, value) {
+    set(index, arrayIndex, value) {
+        if (value === undefined) {
+            value = arrayIndex;
+            arrayIndex = 0;
+        }
+
+        if (typeof index === "string") {
+            index = this.names[index];
+        }
+
         let view = this.dataViews[this.types[index]];
+        let offset = this.offsets[index] + arrayIndex * this.arrayStrides[index];
+
+        let end;
+
+        if (typeof value === "number" || typeof value === "boolean")  {
+            view[offset] = value;
+            end = offset + 1;
+        } else {
+            view.set(value, offset);
+            end = offset + value.length;
+        }
 
-        if (this.sizes[index] === 1)  {
-            view[this.offsets[index]] = value;
+        if (this.dirtyEnd > this.dirtyStart) {
+            this.dirtyStart = Math.min(this.dirtyStart, offset);
+            this.dirtyEnd = Math.max(this.dirtyEnd, end);
         } else {
-            view.set(value, this.offsets[index]);
+            this.dirtyStart = offset;
+            this.dirtyEnd = end;
         }
 
         return this;
     }
 
     /**
-        Send stored buffer data to the GPU.
+        Send stored buffer data to the GPU. Without an index, only the range modified by
+        set() since the last upload is sent, in a single bufferSubData call. If nothing
+        was modified through set() (e.g. data was written directly), the entire buffer is sent.
 
         @method
-        @param {number} [index] Index in the layout of item to send to the GPU. If ommited, entire buffer is sent.
+        @param {number|string} [index] Index in the layout or name of item to send to the GPU.
         @return {UniformBuffer} The UniformBuffer object.
     */
     update(index) {
-        let data;
-        let offset;
-        if (index === undefined) {
-            data = this.data;
-            offset = 0;
+        if (typeof index === "string") {
+            index = this.names[index];
+        }
+
+        let begin;
+        let end;
+        if (index !== undefined) {
+            begin = this.offsets[index];
+            end = begin + this.sizes[index];
+        } else if (this.dirtyEnd > this.dirtyStart) {
+            begin = this.dirtyStart;
+            end = this.dirtyEnd;
         } else {
-            let begin = this.offsets[index];
-            let end = begin + this.sizes[index];
-            data = this.data.subarray(begin, end);
-            offset = begin * 4;
+            begin = 0;
+            end = this.size;
         }
 
         this.gl.bindBuffer(this.gl.UNIFORM_BUFFER, this.buffer);
-        this.gl.bufferSubData(this.gl.UNIFORM_BUFFER, offset, data);
+        this.gl.bufferSubData(this.gl.UNIFORM_BUFFER, begin * 4, this.data.subarray(begin, end));
         this.gl.bindBuffer(this.gl.UNIFORM_BUFFER, null);
 
+        if (begin <= this.dirtyStart && end >= this.dirtyEnd) {
+            this.dirtyStart = 0;
+            this.dirtyEnd = 0;
+        }
+
+        return this;
+    }
+
+    /**
+        Send the range modified by set() to the GPU, if any. Called automatically
+        by DrawCall.draw() before the buffer is bound.
+
+        @method
+        @ignore
+        @return {UniformBuffer} The UniformBuffer object.
+    */
+    flush() {
+        if (this.dirtyEnd > this.dirtyStart) {
+            this.update();
+        }
+
         return this;
     }
 
@@ -234,6 +361,8 @@ class UniformBuffer {
         @return {UniformBuffer} The UniformBuffer object.
     */
     delete() {
+        untrackResource(this);
+
         if (this.buffer) {
             this.gl.deleteBuffer(this.buffer);
             this.buffer = null;
@@ -277,4 +406,48 @@ class UniformBuffer {
 
 }
 
+// Round offset up to a multiple of alignment.
+function roundUp(offset, alignment) {
+    return Math.ceil(offset / alignment) * alignment;
+}
+
+// std140 base alignment, size and array stride of a layout entry, in 4-byte units.
+// Arrays and structs are aligned to vec4, and their elements are padded to vec4.
+function std140Measure(entry) {
+    let alignment = 0;
+    let size = 0;
+
+    if (entry.struct) {
+        for (let i = 0, len = entry.struct.length; i < len; ++i) {
+            let member = typeof entry.struct[i] === "object" ? entry.struct[i] : { type: entry.struct[i] };
+            let memberLayout = std140Measure(member);
+            size = roundUp(size, memberLayout.alignment) + memberLayout.size;
+        }
+
+        alignment = 4;
+        size = roundUp(size, 4);
+    } else if (TYPE_LAYOUTS[entry.type]) {
+        let rows = TYPE_LAYOUTS[entry.type][1];
+        let columns = TYPE_LAYOUTS[entry.type][2];
+
+        if (columns > 1) {
+            // Matrices are stored as arrays of column vectors.
+            alignment = 4;
+            size = columns * 4;
+        } else {
+            alignment = rows === 3 ? 4 : rows;
+            size = rows;
+        }
+    }
+
+    let stride = roundUp(size, 4);
+
+    if (entry.length !== undefined) {
+        alignment = 4;
+        size = stride * entry.length;
+    }
+
+    return { alignment, size, stride };
+}
+
 module.exports = UniformBuffer;
@@ -21,6 +21,7 @@
 "use strict";
 
 const CONSTANTS = require("./constants");
+const untrackResource = require("./resources").untrackResource;
 
 /**
     管理顶点缓冲和属性状态。
@@ -33,6 +34,13 @@ const CONSTANTS = require("./constants");
     @prop {GLenum} indexType 推断的数据类型。
     @prop {boolean} instanced 该顶点数组是否用于实例绘制（Instanced Drawing）。
     @prop {number} numInstances 这个顶点数组需要绘制的实例数量。
+    @prop {Array} attributeBuffers 以属性 location 为索引记录的属性缓冲绑定，用于在上下文丢失后恢复。
+    @prop {Array} interleavedBuffers 绑定的交错缓冲及其属性 location 映射，用于在上下文丢失后恢复。
+    @prop {VertexBuffer} indexVertexBuffer 绑定的索引缓冲。
+    @prop {Object} namedLocations 用于解析属性名称的名称到 location 的映射。
+    @prop {Array} constantAttributes 以属性 location 为索引的常量属性值。常量属性值是全局状态，
+        不属于顶点数组对象，由 DrawCall 在绘制时设定。
+    @prop {number} countVersion 元素或实例数量因缓冲调整大小而改变的次数，DrawCall 据此更新缓存的数量。
     @prop {Object} appState 跟踪的GL状态。
 */
 class VertexArray {
@@ -46,6 +54,12 @@ class VertexArray {
         this.instancedBuffers = 0;
         this.indexed = false;
         this.numInstances = numInstances;
+        this.attributeBuffers = [];
+        this.interleavedBuffers = [];
+        this.indexVertexBuffer = null;
+        this.namedLocations = null;
+        this.constantAttributes = [];
+        this.countVersion = 0;
     }
 
     /**
@@ -62,17 +76,66 @@ class VertexArray {
         // 可能的话，在 gl 层进行重新分配
         if (this.vertexArray !== null) {
             this.vertexArray = this.gl.createVertexArray();
+
+            // 重新设定记录的属性指针
+            for (let i = 0, len = this.attributeBuffers.length; i < len; ++i) {
+                let binding = this.attributeBuffers[i];
+                if (binding) {
+                    this.attributeBuffer(i, binding.vertexBuffer, binding.instanced, binding.integer, binding.normalized);
+                }
+            }
+
+            let interleavedBuffers = this.interleavedBuffers;
+            this.interleavedBuffers = [];
+
+            for (let i = 0, len = interleavedBuffers.length; i < len; ++i) {
+                let binding = interleavedBuffers[i];
+                this.interleavedBuffer(binding.vertexBuffer, binding.locations, binding.instanced);
+            }
+
+            for (let i = 0, len = this.constantAttributes.length; i < len; ++i) {
+                if (this.constantAttributes[i]) {
+                    this.bind();
+                    this.gl.disableVertexAttribArray(i);
+                }
+            }
+
+            if (this.indexVertexBuffer) {
+                this.indexBuffer(this.indexVertexBuffer);
+            }
         }
 
         return this;
     }
 
 
+    /**
+        设定解析属性名称所用的 location。之后绑定属性缓冲时可以使用属性名称代替 location。
+
+        @method
+        @param {Program|Object} locations 程序（使用其活跃属性的 location）或属性名称到 location 的映射。
+        @return {VertexArray} 顶点数组对象。
+    */
+    attributeLocations(locations) {
+        if (locations.reflection) {
+            let attributes = locations.reflection.attributes;
+            this.namedLocations = {};
+
+            for (let name in attributes) {
+                this.namedLocations[name] = attributes[name].location;
+            }
+        } else {
+            this.namedLocations = locations;
+        }
+
+        return this;
+    }
+
     /**
         为这个顶点数组绑定一个逐顶点属性缓冲。
 
         @method
-        @param {number} attributeIndex 要绑定的属性 location。
+        @param {number|string} attributeIndex 要绑定的属性 location 或属性名称（参见 attributeLocations()）。
         @param {VertexBuffer} vertexBuffer 要绑定的顶点缓冲。
         @return {VertexArray} 顶点数组对象。
     */
@@ -86,7 +149,7 @@ class VertexArray {
         为这个顶点数组绑定一个逐实例属性缓冲。
 
         @method
-        @param {number} attributeIndex 要绑定的属性 location。
+        @param {number|string} attributeIndex 要绑定的属性 location 或属性名称（参见 attributeLocations()）。
         @param {VertexBuffer} vertexBuffer 要绑定的顶点缓冲。
         @return {VertexArray} 顶点数组对象。
     */
@@ -101,7 +164,7 @@ class VertexArray {
         注意：这代表shader中引用的属性是整型，不是存储在顶点缓冲中的数据。
 
         @method
-        @param {number} attributeIndex 要绑定的属性 location。
+        @param {number|string} attributeIndex 要绑定的属性 location 或属性名称（参见 attributeLocations()）。
         @param {VertexBuffer} vertexBuffer 要绑定的顶点缓冲。
         @return {VertexArray} 顶点数组对象。
     */
@@ -116,7 +179,7 @@ class VertexArray {
         注意：这代表shader中引用的属性是整型，不是存储在顶点缓冲中的数据。
 
         @method
-        @param {number} attributeIndex 要绑定的属性 location。
+        @param {number|string} attributeIndex 要绑定的属性 location 或属性名称（参见 attributeLocations()）。
         @param {VertexBuffer} vertexBuffer 要绑定的顶点缓冲。
         @return {VertexArray} 顶点数组对象。
     */
@@ -131,7 +194,7 @@ class VertexArray {
         在顶点缓冲中的整型数据将会被归一化为[-1.0, 1.0]，无符号整型将被归一化为[0.0, 1.0]。
 
         @method
-        @param {number} attributeIndex 要绑定的属性 location。
+        @param {number|string} attributeIndex 要绑定的属性 location 或属性名称（参见 attributeLocations()）。
         @param {VertexBuffer} vertexBuffer 要绑定的顶点缓冲。
         @return {VertexArray} 顶点数组对象。
     */
@@ -146,7 +209,7 @@ class VertexArray {
         在顶点缓冲中的整型数据将会被归一化为[-1.0, 1.0]，无符号整型将被归一化为[0.0, 1.0]。
         
         @method
-        @param {number} attributeIndex 要绑定的属性 location。
+        @param {number|string} attributeIndex 要绑定的属性 location 或属性名称（参见 attributeLocations()）。
         @param {VertexBuffer} vertexBuffer 要绑定的顶点缓冲。
         @return {VertexArray} 顶点数组对象。
     */
@@ -156,6 +219,131 @@ class VertexArray {
         return this;
     }
 
+    /**
+        为这个顶点数组绑定一个交错缓冲中的多个属性。
+
+        @method
+        @param {VertexBuffer} vertexBuffer 由 App.createInterleavedBuffer() 创建的交错缓冲。
+        @param {Object} locations 缓冲中的属性名称到属性 location（或着色器中的属性名称）的映射，
+            例如 { position: 0, normal: 1, uv: 2 }。
+        @param {boolean} [instanced=false] 是否为逐实例属性。
+        @return {VertexArray} 顶点数组对象。
+    */
+    interleavedBuffer(vertexBuffer, locations, instanced = false) {
+        // 如果可能，在 gl 层分配
+        if (this.vertexArray === null) {
+            this.vertexArray = this.gl.createVertexArray();
+        }
+
+        this.bind();
+        this.gl.bindBuffer(this.gl.ARRAY_BUFFER, vertexBuffer.buffer);
+
+        for (let name in locations) {
+            let attributeIndex = this.resolveLocation(locations[name]);
+            let attribute = vertexBuffer.attributes[name];
+
+            if (attributeIndex === -1) {
+                continue;
+            }
+
+            if (!attribute) {
+                console.error(`Vertex attribute "${name}" is not in the interleaved buffer layout.`);
+                continue;
+            }
+
+            // 替换这个 location 上原有的属性缓冲绑定，避免恢复时被重新设定
+            this.attributeBuffers[attributeIndex] = undefined;
+
+            if (attribute.integer) {
+                this.gl.vertexAttribIPointer(attributeIndex, attribute.size, attribute.type, vertexBuffer.itemSize, attribute.offset);
+            } else {
+                this.gl.vertexAttribPointer(attributeIndex, attribute.size, attribute.type, attribute.normalized, vertexBuffer.itemSize, attribute.offset);
+            }
+
+            this.gl.vertexAttribDivisor(attributeIndex, instanced ? 1 : 0);
+            this.gl.enableVertexAttribArray(attributeIndex);
+            this.constantAttributes[attributeIndex] = undefined;
+        }
+
+        this.instanced = this.instanced || instanced;
+        this.interleavedBuffers.push({ vertexBuffer, locations, instanced });
+        this.trackBuffer(vertexBuffer);
+
+        if (instanced) {
+            this.numInstances = vertexBuffer.numItems;
+        } else {
+            this.numElements = this.numElements || vertexBuffer.numItems;
+        }
+
+        this.gl.bindBuffer(this.gl.ARRAY_BUFFER, null);
+
+        return this;
+    }
+
+    /**
+        为属性设定一个常量值（不使用顶点缓冲），例如所有顶点使用同一个颜色。
+        不足 4 个分量时，其余分量为 (0, 0, 0, 1) 中对应的值。
+
+        @method
+        @param {number|string} attributeIndex 属性 location 或属性名称（参见 attributeLocations()）。
+        @param {number|Array|ArrayBufferView} value 属性值（1 到 4 个分量，否则输出错误并忽略）。
+        @param {Object} [options] 选项。
+        @param {boolean} [options.integer=false] 着色器中的属性是否为整型。整型属性使用
+            vertexAttribI4i，如果 value 是 Uint32Array 则使用 vertexAttribI4ui。
+        @return {VertexArray} 顶点数组对象。
+    */
+    constantAttribute(attributeIndex, value, options = CONSTANTS.DUMMY_OBJECT) {
+        attributeIndex = this.resolveLocation(attributeIndex);
+
+        if (attributeIndex === -1) {
+            return this;
+        }
+
+        let numComponents = typeof value === "number" ? 1 : value.length;
+
+        if (!(numComponents >= 1 && numComponents <= 4)) {
+            console.error(`Constant vertex attribute ${attributeIndex} must have 1 to 4 components, got ${numComponents}.`);
+            return this;
+        }
+
+        let integer = !!options.integer;
+        let unsigned = integer && value instanceof Uint32Array;
+        let constantValue;
+
+        if (unsigned) {
+            constantValue = new Uint32Array(4);
+        } else if (integer) {
+            constantValue = new Int32Array(4);
+        } else {
+            constantValue = new Float32Array(4);
+        }
+
+        constantValue[3] = 1;
+
+        if (typeof value === "number") {
+            constantValue[0] = value;
+        } else {
+            constantValue.set(value);
+        }
+
+        // 如果可能，在 gl 层分配
+        if (this.vertexArray === null) {
+            this.vertexArray = this.gl.createVertexArray();
+        }
+
+        this.bind();
+        this.gl.disableVertexAttribArray(attributeIndex);
+
+        this.attributeBuffers[attributeIndex] = undefined;
+        this.constantAttributes[attributeIndex] = {
+            value: constantValue,
+            integer,
+            unsigned
+        };
+
+        return this;
+    }
+
     /**
         为这个顶点数组绑定一个索引缓冲。
 
@@ -172,9 +360,12 @@ class VertexArray {
         this.bind();
         this.gl.bindBuffer(this.gl.ELEMENT_ARRAY_BUFFER, vertexBuffer.buffer);
 
-        this.numElements = vertexBuffer.numItems * 3;
+        // numItems 是图元数量，itemSize 是每个图元的索引数量
+        this.numElements = vertexBuffer.numItems * vertexBuffer.itemSize;
         this.indexType = vertexBuffer.type;
         this.indexed = true;
+        this.indexVertexBuffer = vertexBuffer;
+        this.trackBuffer(vertexBuffer);
 
         return this;
     }
@@ -186,6 +377,8 @@ class VertexArray {
         @return {VertexArray} 顶点数组对象。
     */
     delete() {
+        untrackResource(this);
+
         if (this.vertexArray) {
             this.gl.deleteVertexArray(this.vertexArray);
             this.vertexArray = null;
@@ -223,6 +416,12 @@ class VertexArray {
         @return {VertexArray} 顶点数组对象。
     */
     attributeBuffer(attributeIndex, vertexBuffer, instanced, integer, normalized) {
+        attributeIndex = this.resolveLocation(attributeIndex);
+
+        if (attributeIndex === -1) {
+            return this;
+        }
+
         // 如果可能，在 gl 层分配
         if (this.vertexArray === null) {
             this.vertexArray = this.gl.createVertexArray();
@@ -260,6 +459,15 @@ class VertexArray {
 
         this.instanced = this.instanced || instanced;
 
+        this.constantAttributes[attributeIndex] = undefined;
+        this.attributeBuffers[attributeIndex] = {
+            vertexBuffer,
+            instanced,
+            integer,
+            normalized
+        };
+        this.trackBuffer(vertexBuffer);
+
         if (instanced) {
             this.numInstances = vertexBuffer.numItems;
         } else {
@@ -270,6 +478,109 @@ class VertexArray {
 
         return this;
     }
+
+    /**
+        设定常量属性值。常量属性值是全局状态，每次使用这个顶点数组绘制时都需要设定。
+
+        @method
+        @ignore
+        @return {VertexArray} 顶点数组对象。
+    */
+    applyConstantAttributes() {
+        let constantAttributes = this.constantAttributes;
+
+        for (let i = 0, len = constantAttributes.length; i < len; ++i) {
+            let attribute = constantAttributes[i];
+
+            if (!attribute) {
+                continue;
+            }
+
+            if (!attribute.integer) {
+                this.gl.vertexAttrib4fv(i, attribute.value);
+            } else if (attribute.unsigned) {
+                this.gl.vertexAttribI4uiv(i, attribute.value);
+            } else {
+                this.gl.vertexAttribI4iv(i, attribute.value);
+            }
+        }
+
+        return this;
+    }
+
+    /**
+        在顶点缓冲中记录这个顶点数组，以便缓冲调整大小时更新元素数量。
+
+        @method
+        @ignore
+        @param {VertexBuffer} vertexBuffer 使用的顶点缓冲。
+        @return {VertexArray} 顶点数组对象。
+    */
+    trackBuffer(vertexBuffer) {
+        if (vertexBuffer.vertexArrays.indexOf(this) === -1) {
+            vertexBuffer.vertexArrays.push(this);
+        }
+
+        return this;
+    }
+
+    /**
+        顶点缓冲调整大小后更新元素（或实例）数量。
+
+        @method
+        @ignore
+        @param {VertexBuffer} vertexBuffer 调整了大小的顶点缓冲。
+        @return {VertexArray} 顶点数组对象。
+    */
+    bufferResized(vertexBuffer) {
+        ++this.countVersion;
+
+        if (vertexBuffer === this.indexVertexBuffer) {
+            this.numElements = vertexBuffer.numItems * vertexBuffer.itemSize;
+            return this;
+        }
+
+        let bindings = this.attributeBuffers.concat(this.interleavedBuffers);
+
+        for (let i = 0, len = bindings.length; i < len; ++i) {
+            let binding = bindings[i];
+
+            if (!binding || binding.vertexBuffer !== vertexBuffer) {
+                continue;
+            }
+
+            if (binding.instanced) {
+                this.numInstances = vertexBuffer.numItems;
+            } else if (!this.indexed) {
+                this.numElements = vertexBuffer.numItems;
+            }
+        }
+
+        return this;
+    }
+
+    /**
+        将属性名称解析为 location。
+
+        @method
+        @ignore
+        @param {number|string} attribute 属性 location 或名称。
+        @return {number} 属性 location，名称无法解析时为 -1。
+    */
+    resolveLocation(attribute) {
+        if (typeof attribute === "number") {
+            return attribute;
+        }
+
+        let location = this.namedLocations ? this.namedLocations[attribute] : undefined;
+
+        if (location === undefined || location === -1) {
+            console.error(`Unknown vertex attribute "${attribute}".`);
+            return -1;
+        }
+
+        return location;
+    }
 }
 
 module.exports = VertexArray;
@@ -24,6 +24,17 @@
 "use strict";
 
 const CONSTANTS = require("./constants");
+const Fence = require("./fence");
+const untrackResource = require("./resources").untrackResource;
+
+const TYPED_ARRAYS = {};
+TYPED_ARRAYS[CONSTANTS.BYTE] = Int8Array;
+TYPED_ARRAYS[CONSTANTS.UNSIGNED_BYTE] = Uint8Array;
+TYPED_ARRAYS[CONSTANTS.SHORT] = Int16Array;
+TYPED_ARRAYS[CONSTANTS.UNSIGNED_SHORT] = Uint16Array;
+TYPED_ARRAYS[CONSTANTS.INT] = Int32Array;
+TYPED_ARRAYS[CONSTANTS.UNSIGNED_INT] = Uint32Array;
+TYPED_ARRAYS[CONSTANTS.FLOAT] = Float32Array;
 
 /**
     存储顶点数据。
@@ -37,11 +48,54 @@ const CONSTANTS = require("./constants");
     @prop {GLEnum} usage 缓冲的使用模式。
     @prop {boolean} indexArray 是否是一个索引数组。
     @prop {GLEnum} binding GL绑定点（ARRAY_BUFFER 或 ELEMENT_ARRAY_BUFFER）。
+    @prop {number} restartIndex 索引缓冲中重启图元的索引值（类型的最大值）。非索引缓冲为 null。
+    @prop {Object} attributes 交错缓冲中属性名称到 { type, size, normalized, integer, offset } 的映射。
+        交错缓冲以字节存储，itemSize 为每个顶点的字节跨度（stride）；普通缓冲为 null。
+    @prop {Array} vertexArrays 使用这个缓冲的顶点数组，在 resize() 时更新其元素数量。
+    @prop {ArrayBufferView} retainedData 缓冲数据的副本（包括部分写入的数据），用于在上下文丢失后恢复。
     @prop {Object} appState 跟踪的GL状态。
 */
 class VertexBuffer {
 
     constructor(gl, appState, type, itemSize, data, usage = gl.STATIC_DRAW, indexArray) {
+        let attributes = null;
+
+        // 交错缓冲：itemSize 为属性布局数组，按字节存储
+        if (Array.isArray(itemSize)) {
+            attributes = {};
+            let end = 0;
+
+            for (let i = 0, len = itemSize.length; i < len; ++i) {
+                let {
+                    name,
+                    type: attributeType = CONSTANTS.FLOAT,
+                    size = 4,
+                    normalized = false,
+                    integer = false,
+                    offset
+                } = itemSize[i];
+                let typeSize = CONSTANTS.TYPE_SIZE[attributeType];
+
+                if (offset === undefined) {
+                    offset = Math.ceil(end / typeSize) * typeSize;
+                }
+
+                attributes[name] = { type: attributeType, size, normalized, integer, offset };
+                end = Math.max(end, offset + size * typeSize);
+            }
+
+            type = CONSTANTS.UNSIGNED_BYTE;
+            itemSize = Math.ceil(end / 4) * 4;
+
+            if (typeof data === "number") {
+                data *= itemSize;
+            } else if (data instanceof ArrayBuffer) {
+                data = new Uint8Array(data);
+            } else {
+                data = new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+            }
+        }
+
         let numColumns;
         switch(type) {
             case CONSTANTS.FLOAT_MAT4:
@@ -102,6 +156,21 @@ class VertexBuffer {
         this.usage = usage;
         this.indexArray = !!indexArray;
         this.binding = this.indexArray ? gl.ELEMENT_ARRAY_BUFFER : gl.ARRAY_BUFFER;
+        this.retainedData = null;
+        this.ownsRetainedData = false;
+        this.attributes = attributes;
+        this.vertexArrays = [];
+        this.restartIndex = null;
+
+        if (this.indexArray) {
+            if (type !== CONSTANTS.UNSIGNED_BYTE && type !== CONSTANTS.UNSIGNED_SHORT && type !== CONSTANTS.UNSIGNED_INT) {
+                console.error("Index buffer type must be UNSIGNED_BYTE, UNSIGNED_SHORT or UNSIGNED_INT.");
+            }
+
+            // WebGL 2 总是启用 PRIMITIVE_RESTART_FIXED_INDEX，类型的最大值会重启图元
+            this.restartIndex = Math.pow(2, CONSTANTS.TYPE_SIZE[type] * 8) - 1;
+            this.validateIndices(data);
+        }
 
         this.restore(data);
     }
@@ -110,12 +179,17 @@ class VertexBuffer {
         在上下文丢失后恢复顶点缓冲。
 
         @method
-        @param {ArrayBufferView|number} data 缓冲数据本身或分配的元素总数。
+        @param {ArrayBufferView|number} [data] 缓冲数据本身或分配的元素总数。默认使用保留的缓冲数据。
         @return {VertexBuffer} 顶点缓冲对象。
     */
-    restore(data) {
+    restore(data = this.retainedData) {
         if (!data) {
-            data = this.numItems * this.itemSize * this.numColumns * CONSTANTS.TYPE_SIZE[this.type];
+            data = this.byteLength();
+        }
+
+        if (typeof data !== "number" && data !== this.retainedData) {
+            this.retainedData = data;
+            this.ownsRetainedData = false;
         }
 
         // 不要更新顶点数组的绑定
@@ -133,26 +207,258 @@ class VertexBuffer {
     }
 
     /**
-        更新这个缓冲中的数据。注意：data 必须与已分配的缓冲相符。
+        更新这个缓冲中的数据。默认从缓冲开始处写入整个 data。
 
         @method
         @param {VertexBufferView} data 要存储到缓冲的数据。
+        @param {Object} [options] 部分写入选项。
+        @param {number} [options.offset=0] 缓冲中的写入位置（以缓冲数据类型的元素计；交错缓冲以字节计）。
+        @param {number} [options.srcOffset=0] data 中的起始元素。
+        @param {number} [options.length] 写入的元素数量。默认写入 srcOffset 之后的所有元素。为 0 时不写入。
+            超出 data 或缓冲大小的写入会输出错误并被忽略。
         @return {VertexBuffer} 顶点缓冲对象。
     */
-    data(data) {
+    data(data, options = CONSTANTS.DUMMY_OBJECT) {
+        let {
+            offset = 0,
+            srcOffset = 0,
+            length = data.length - srcOffset
+        } = options;
+
+        // bufferSubData 会把 length 为 0 解释为“复制到 data 末尾”
+        if (length === 0) {
+            return this;
+        }
+
+        let byteOffset = offset * CONSTANTS.TYPE_SIZE[this.type];
+        let byteLength = length * data.BYTES_PER_ELEMENT;
+
+        if (srcOffset + length > data.length || byteOffset + byteLength > this.byteLength()) {
+            console.error(`Buffer write of ${byteLength} bytes at byte offset ${byteOffset} exceeds the source data or the buffer size (${this.byteLength()} bytes).`);
+            return this;
+        }
+
         // 不要更新顶点数组的绑定
         if (this.appState.vertexArray) {
             this.gl.bindVertexArray(null);
             this.appState.vertexArray = null;
         }
 
+        if (this.indexArray) {
+            this.validateIndices(data.subarray(srcOffset, srcOffset + length));
+        }
+
         this.gl.bindBuffer(this.binding, this.buffer);
-        this.gl.bufferSubData(this.binding, 0, data);
+        this.gl.bufferSubData(this.binding, byteOffset, data, srcOffset, length);
         this.gl.bindBuffer(this.binding, null);
 
+        if (byteOffset === 0 && srcOffset === 0 && length === data.length && byteLength === this.byteLength()) {
+            this.retainedData = data;
+            this.ownsRetainedData = false;
+        } else {
+            // 部分写入：更新保留数据的副本（不修改用户传入的数组）。
+            // 只分配了大小的缓冲在 GL 中初始为 0，保留数据也从 0 开始。
+            if (!this.retainedData) {
+                let ArrayType = TYPED_ARRAYS[this.type];
+                this.retainedData = new ArrayType(this.byteLength() / CONSTANTS.TYPE_SIZE[this.type]);
+                this.ownsRetainedData = true;
+            } else if (!this.ownsRetainedData) {
+                this.retainedData = this.retainedData.slice();
+                this.ownsRetainedData = true;
+            }
+
+            let retained = this.retainedData;
+            new Uint8Array(retained.buffer, retained.byteOffset + byteOffset, byteLength).set(
+                new Uint8Array(data.buffer, data.byteOffset + srcOffset * data.BYTES_PER_ELEMENT, byteLength)
+            );
+        }
+
         return this;
     }
 
+    /**
+        重新分配缓冲以存储 numItems 个元素。原有数据会被保留（超出新大小的部分被丢弃），
+        使用这个缓冲的顶点数组以及使用这些顶点数组的 DrawCall 的元素（或实例）数量会被更新。
+
+        @method
+        @param {number} numItems 新的元素数量。
+        @return {VertexBuffer} 顶点缓冲对象。
+    */
+    resize(numItems) {
+        let oldByteLength = this.byteLength();
+
+        this.numItems = numItems;
+
+        let newByteLength = this.byteLength();
+        let copyByteLength = Math.min(oldByteLength, newByteLength);
+
+        // 不要更新顶点数组的绑定
+        if (this.appState.vertexArray) {
+            this.gl.bindVertexArray(null);
+            this.appState.vertexArray = null;
+        }
+
+        // 保持同一个缓冲句柄，使顶点数组中的绑定依然有效：
+        // 先将数据复制到临时缓冲，重新分配后再复制回来。
+        let tempBuffer = null;
+
+        if (copyByteLength > 0) {
+            tempBuffer = this.gl.createBuffer();
+            this.gl.bindBuffer(this.binding, tempBuffer);
+            this.gl.bufferData(this.binding, copyByteLength, CONSTANTS.STREAM_COPY);
+            this.gl.bindBuffer(CONSTANTS.COPY_READ_BUFFER, this.buffer);
+            this.gl.bindBuffer(CONSTANTS.COPY_WRITE_BUFFER, tempBuffer);
+            this.gl.copyBufferSubData(CONSTANTS.COPY_READ_BUFFER, CONSTANTS.COPY_WRITE_BUFFER, 0, 0, copyByteLength);
+        }
+
+        this.gl.bindBuffer(this.binding, this.buffer);
+        this.gl.bufferData(this.binding, newByteLength, this.usage);
+
+        if (tempBuffer) {
+            this.gl.bindBuffer(CONSTANTS.COPY_READ_BUFFER, tempBuffer);
+            this.gl.bindBuffer(CONSTANTS.COPY_WRITE_BUFFER, this.buffer);
+            this.gl.copyBufferSubData(CONSTANTS.COPY_READ_BUFFER, CONSTANTS.COPY_WRITE_BUFFER, 0, 0, copyByteLength);
+            this.gl.bindBuffer(CONSTANTS.COPY_READ_BUFFER, null);
+            this.gl.bindBuffer(CONSTANTS.COPY_WRITE_BUFFER, null);
+            this.gl.deleteBuffer(tempBuffer);
+        }
+
+        this.gl.bindBuffer(this.binding, null);
+
+        if (this.retainedData) {
+            let retained = this.retainedData;
+            let resized = new retained.constructor(newByteLength / retained.BYTES_PER_ELEMENT);
+            resized.set(retained.subarray(0, copyByteLength / retained.BYTES_PER_ELEMENT));
+            this.retainedData = resized;
+            this.ownsRetainedData = true;
+        }
+
+        for (let i = 0, len = this.vertexArrays.length; i < len; ++i) {
+            this.vertexArrays[i].bufferResized(this);
+        }
+
+        return this;
+    }
+
+    /**
+        使用 getBufferSubData 将缓冲数据读回 CPU，例如检查变换回传（Transform Feedback）的结果。
+        注意：这会等待 GPU 完成对缓冲的写入。
+
+        @method
+        @param {ArrayBufferView} [dst] 存储数据的数组。默认创建一个与缓冲类型相符、足以存储
+            offset 之后所有数据的数组。
+        @param {number} [offset=0] 缓冲中的读取位置（以缓冲数据类型的元素计）。
+        @return {ArrayBufferView} 存储了缓冲数据的数组。
+    */
+    getData(dst, offset = 0) {
+        let byteOffset = offset * CONSTANTS.TYPE_SIZE[this.type];
+
+        if (!dst) {
+            let ArrayType = TYPED_ARRAYS[this.type];
+            dst = new ArrayType((this.byteLength() - byteOffset) / CONSTANTS.TYPE_SIZE[this.type]);
+        }
+
+        this.gl.bindBuffer(CONSTANTS.COPY_READ_BUFFER, this.buffer);
+        this.gl.getBufferSubData(CONSTANTS.COPY_READ_BUFFER, byteOffset, dst);
+        this.gl.bindBuffer(CONSTANTS.COPY_READ_BUFFER, null);
+
+        return dst;
+    }
+
+    /**
+        异步读取缓冲数据。数据先被复制到一个临时缓冲中，通过 fence 同步对象在每一帧中查询
+        GPU 是否完成，完成后再使用 getBufferSubData 读取，不会阻塞流水线。
+
+        @method
+        @param {ArrayBufferView} [dst] 存储数据的数组。默认创建一个与缓冲类型相符、足以存储
+            offset 之后所有数据的数组。
+        @param {number} [offset=0] 缓冲中的读取位置（以缓冲数据类型的元素计）。
+        @return {Promise} 读取完成后以存储了缓冲数据的数组解决。
+    */
+    getDataAsync(dst, offset = 0) {
+        let byteOffset = offset * CONSTANTS.TYPE_SIZE[this.type];
+
+        if (!dst) {
+            let ArrayType = TYPED_ARRAYS[this.type];
+            dst = new ArrayType((this.byteLength() - byteOffset) / CONSTANTS.TYPE_SIZE[this.type]);
+        }
+
+        let gl = this.gl;
+        let readBuffer = gl.createBuffer();
+
+        // 不要更新顶点数组的绑定
+        if (this.appState.vertexArray) {
+            gl.bindVertexArray(null);
+            this.appState.vertexArray = null;
+        }
+
+        // 临时缓冲首次绑定的目标决定了它的类型（索引缓冲只能与索引缓冲互相复制），
+        // 所以先绑定到与这个缓冲相同的目标。
+        gl.bindBuffer(this.binding, readBuffer);
+        gl.bufferData(this.binding, dst.byteLength, CONSTANTS.STREAM_READ);
+        gl.bindBuffer(this.binding, null);
+        gl.bindBuffer(CONSTANTS.COPY_WRITE_BUFFER, readBuffer);
+        gl.bindBuffer(CONSTANTS.COPY_READ_BUFFER, this.buffer);
+        gl.copyBufferSubData(CONSTANTS.COPY_READ_BUFFER, CONSTANTS.COPY_WRITE_BUFFER, byteOffset, 0, dst.byteLength);
+        gl.bindBuffer(CONSTANTS.COPY_READ_BUFFER, null);
+        gl.bindBuffer(CONSTANTS.COPY_WRITE_BUFFER, null);
+
+        let fence = new Fence(gl);
+
+        let cleanup = () => {
+            fence.delete();
+            gl.deleteBuffer(readBuffer);
+        };
+
+        return fence.whenSignaled().then(() => {
+            gl.bindBuffer(CONSTANTS.COPY_READ_BUFFER, readBuffer);
+            gl.getBufferSubData(CONSTANTS.COPY_READ_BUFFER, 0, dst);
+            gl.bindBuffer(CONSTANTS.COPY_READ_BUFFER, null);
+            cleanup();
+
+            return dst;
+        }, (error) => {
+            cleanup();
+            throw error;
+        });
+    }
+
+    /**
+        缓冲的字节大小。
+
+        @method
+        @ignore
+        @return {number} 字节大小。
+    */
+    byteLength() {
+        return this.numItems * this.itemSize * this.numColumns * CONSTANTS.TYPE_SIZE[this.type];
+    }
+
+    /**
+        检查 UNSIGNED_INT 索引是否超过平台支持的 MAX_ELEMENT_INDEX。
+
+        @method
+        @ignore
+        @param {ArrayBufferView|number} data 索引数据。
+        @return {boolean} 索引是否有效。
+    */
+    validateIndices(data) {
+        let maxIndex = CONSTANTS.WEBGL_INFO.MAX_ELEMENT_INDEX;
+
+        if (this.type !== CONSTANTS.UNSIGNED_INT || typeof data === "number" || maxIndex === undefined) {
+            return true;
+        }
+
+        for (let i = 0, len = data.length; i < len; ++i) {
+            if (data[i] > maxIndex && data[i] !== this.restartIndex) {
+                console.error(`Index ${data[i]} exceeds MAX_ELEMENT_INDEX (${maxIndex}).`);
+                return false;
+            }
+        }
+
+        return true;
+    }
+
     /**
         删除这个顶点缓冲。
 
@@ -160,6 +466,8 @@ class VertexBuffer {
         @return {VertexBuffer} 顶点缓冲对象。
     */
     delete() {
+        untrackResource(this);
+
         if (this.buffer) {
             this.gl.deleteBuffer(this.buffer);
             this.buffer = null;